@@ -0,0 +1,55 @@
+const { decompressReport, compressReport, detectCompression } = require('../src/compression.js');
+const { readText } = require('../src/parsers/input.js');
+const { parseCoverageReport } = require('../src/parsers');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const REPORT = fs.readFileSync(path.join(__dirname, 'data', 'base-coverage.xml'));
+
+async function* chunks(content, size) {
+  for (let start = 0; start < content.length; start += size) {
+    yield content.subarray(start, start + size);
+  }
+}
+
+describe('Compressed reports', () => {
+  test('should detect gzip and zstd reports from their magic bytes', () => {
+    expect(detectCompression(zlib.gzipSync(REPORT))).toBe('gzip');
+    expect(detectCompression(fs.readFileSync(path.join(__dirname, 'data', 'base-coverage.xml.zst')))).toBe('zstd');
+    expect(detectCompression(REPORT)).toBeNull();
+    expect(detectCompression('<coverage/>')).toBeNull();
+  });
+
+  test('should decompress gzip reports read in chunks', async () => {
+    const report = await decompressReport(chunks(zlib.gzipSync(REPORT), 1));
+
+    expect(await readText(report)).toBe(REPORT.toString());
+  });
+
+  test('should decompress zstd reports', async () => {
+    const compressed = fs.readFileSync(path.join(__dirname, 'data', 'base-coverage.xml.zst'));
+
+    expect(await readText(await decompressReport(compressed))).toBe(REPORT.toString());
+    expect((await parseCoverageReport(await decompressReport(chunks(compressed, 100)))).format).toBe('cobertura');
+  });
+
+  test('should return uncompressed reports unchanged', async () => {
+    expect(await decompressReport(REPORT)).toBe(REPORT);
+    expect(await readText(await decompressReport(chunks(REPORT, 3)))).toBe(REPORT.toString());
+  });
+
+  test('should reject corrupted gzip reports', async () => {
+    const truncated = zlib.gzipSync(REPORT).subarray(0, 100);
+
+    await expect(readText(await decompressReport(truncated))).rejects.toThrow('unexpected end of file');
+  });
+
+  test('should compress reports by file extension', () => {
+    const gzipped = compressReport(REPORT, 'repo/main/20240315_120000/coverage.xml.gz');
+
+    expect(zlib.gunzipSync(gzipped)).toEqual(REPORT);
+    expect(compressReport(gzipped, 'coverage.xml.gz')).toBe(gzipped);
+    expect(compressReport(REPORT, 'coverage.xml')).toBe(REPORT);
+  });
+});
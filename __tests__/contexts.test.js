@@ -0,0 +1,61 @@
+const { getTestName, getTestModuleStem, isRelatedTest, getChangedLineTests } = require('../src/contexts.js');
+const { parseCoverageReport } = require('../src/parsers');
+
+const coveragePyReport = {
+  meta: { format: 3, version: '7.6.8', timestamp: '2024-03-15T12:00:00', branch_coverage: false, show_contexts: true },
+  files: {
+    'app/pricing.py': {
+      executed_lines: [1, 3, 4, 5, 7, 8],
+      missing_lines: [10],
+      excluded_lines: [],
+      contexts: {
+        1: [''],
+        3: [''],
+        4: ['tests/test_pricing.py::test_discount|run'],
+        5: ['tests/test_pricing.py::test_discount|run', 'tests/test_checkout.py::test_total|run'],
+        7: ['tests/test_checkout.py::test_total|run'],
+        8: ['tests.test_checkout.CheckoutTest.test_refund']
+      }
+    }
+  },
+  totals: {}
+};
+
+describe('Test contexts', () => {
+  test('should name tests and their modules', () => {
+    expect(getTestName('tests/test_pricing.py::test_discount|run')).toBe('tests/test_pricing.py::test_discount');
+    expect(getTestModuleStem('tests/test_pricing.py::TestPricing::test_discount')).toBe('pricing');
+    expect(getTestModuleStem('tests.test_pricing.TestPricing.test_discount')).toBe('pricing');
+    expect(getTestModuleStem('tests/pricing_test.py::test_discount')).toBe('pricing');
+  });
+
+  test('should relate tests to the source file they are named after', () => {
+    expect(isRelatedTest('tests/test_pricing.py::test_discount', 'app/pricing.py')).toBe(true);
+    expect(isRelatedTest('tests/test_pricing_rules.py::test_discount', 'app/pricing.py')).toBe(true);
+    expect(isRelatedTest('tests/test_app.py::test_init', 'app/__init__.py')).toBe(true);
+    expect(isRelatedTest('tests/test_checkout.py::test_total', 'app/pricing.py')).toBe(false);
+  });
+
+  test('should list the tests of changed lines and flag incidental coverage', async () => {
+    const model = await parseCoverageReport(JSON.stringify(coveragePyReport), 'coveragepy');
+    const patch = '@@ -3,0 +3,8 @@\n+a\n+b\n+c\n+d\n+e\n+f\n+g\n+h';
+
+    const [result] = getChangedLineTests(model, [{ filename: 'app/pricing.py', patch }]);
+
+    expect(result.filename).toBe('app/pricing.py');
+    expect(result.tests).toEqual([
+      { name: 'tests.test_checkout.CheckoutTest.test_refund', lines: '8', related: false },
+      { name: 'tests/test_checkout.py::test_total', lines: '5, 7', related: false },
+      { name: 'tests/test_pricing.py::test_discount', lines: '4-5', related: true }
+    ]);
+    // Line 3 only ran at import time and line 10 never ran
+    expect(result.incidentalLines).toBe('7-8');
+    expect(result.incidentalTests).toEqual(['tests.test_checkout.CheckoutTest.test_refund', 'tests/test_checkout.py::test_total']);
+  });
+
+  test('should skip reports without contexts', async () => {
+    const model = await parseCoverageReport('SF:app/pricing.py\nDA:1,1\nend_of_record\n', 'lcov');
+
+    expect(getChangedLineTests(model, [{ filename: 'app/pricing.py', patch: '@@ -1 +1 @@\n+a' }])).toEqual([]);
+  });
+});
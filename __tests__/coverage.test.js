@@ -0,0 +1,149 @@
+const {
+  mergeCoverageModels,
+  resolveFilePaths,
+  formatLineRanges,
+  getCoverageMetrics,
+  getLineChanges,
+  countFiles
+} = require('../src/coverage.js');
+const { parseCobertura } = require('../src/parsers/cobertura.js');
+const fs = require('fs');
+const path = require('path');
+
+const MULTI_PACKAGE_XML = `<?xml version="1.0"?>
+<coverage timestamp="1732797154737" branches-valid="4" branches-covered="3">
+  <packages>
+    <package name="app">
+      <classes>
+        <class name="Service" filename="app/service.js">
+          <methods>
+            <method name="start" hits="2" signature="()V">
+              <lines><line number="1" hits="2" /></lines>
+            </method>
+          </methods>
+          <lines>
+            <line number="1" hits="2" />
+            <line number="2" hits="0" branch="true" condition-coverage="50% (1/2)" />
+            <line number="3" hits="0" />
+          </lines>
+        </class>
+      </classes>
+    </package>
+  </packages>
+  <packages>
+    <package name="app.inner">
+      <classes>
+        <class name="Service$Inner" filename="app/service.js">
+          <lines>
+            <line number="3" hits="4" />
+            <line number="10" hits="1" branch="true" condition-coverage="100% (2/2)" />
+          </lines>
+        </class>
+      </classes>
+    </package>
+    <package name="lib">
+      <classes>
+        <class name="Util" filename="lib/util.js">
+          <lines>
+            <line number="5" hits="0" />
+          </lines>
+        </class>
+      </classes>
+    </package>
+  </packages>
+</coverage>`;
+
+describe('Coverage model', () => {
+  test('should read every package and join classes split across packages', async () => {
+    const model = await parseCobertura(MULTI_PACKAGE_XML);
+
+    expect([...model.files.keys()]).toEqual(['app/service.js', 'lib/util.js']);
+    expect(countFiles(model)).toBe(2);
+
+    const service = model.files.get('app/service.js');
+    expect([...service.lines.keys()]).toEqual([1, 2, 3, 10]);
+    expect(service.lines.get(3).hits).toBe(4);
+    expect(service.lines.get(2).branches).toEqual({ covered: 1, total: 2 });
+    expect(service.methods).toEqual([{ name: 'start', startLine: 1, endLine: 1, hits: 2 }]);
+
+    expect(getCoverageMetrics(model)).toEqual({
+      lineRate: 3 / 5,
+      branchRate: 3 / 4,
+      lines: 5,
+      hits: 3,
+      misses: 2,
+      partials: 1,
+      branches: 4,
+      instructions: 0,
+      timestamp: '1732797154737'
+    });
+  });
+
+  test('should give the same totals as the report attributes for real reports', async () => {
+    const content = fs.readFileSync(path.join(__dirname, 'data', 'head-coverage.xml'), 'utf8');
+    const model = await parseCobertura(content);
+    const metrics = getCoverageMetrics(model);
+
+    expect(metrics.lines).toBe(91);
+    expect(metrics.hits).toBe(71);
+    expect(metrics.branches).toBe(58);
+  });
+
+  test('should merge models line by line', async () => {
+    const first = await parseCobertura(MULTI_PACKAGE_XML);
+    const second = await parseCobertura(MULTI_PACKAGE_XML.replace('number="5" hits="0"', 'number="5" hits="3"'));
+
+    const merged = mergeCoverageModels([first, second]);
+
+    expect(merged.files.get('lib/util.js').lines.get(5).hits).toBe(3);
+    expect(getCoverageMetrics(merged).hits).toBe(4);
+    expect(getLineChanges(first, second)).toMatchObject({ gained: 1, lost: 0, added: 0, deleted: 0 });
+  });
+
+  test('should compare line hits through the PR diff', async () => {
+    const { parseLcov } = require('../src/parsers/lcov.js');
+    const base = await parseLcov('SF:src/app.js\nDA:1,1\nDA:2,0\nDA:3,1\nend_of_record\nSF:src/old.js\nDA:1,1\nend_of_record\n');
+    // Two lines inserted at the top of app.js, old.js renamed to new.js
+    const head = await parseLcov('SF:src/app.js\nDA:1,0\nDA:2,0\nDA:3,1\nDA:4,1\nDA:5,0\nend_of_record\nSF:src/new.js\nDA:1,1\nend_of_record\n');
+
+    const changes = getLineChanges(base, head, [
+      { filename: 'src/app.js', patch: '@@ -1,1 +1,3 @@\n+added\n+added\n line' },
+      { filename: 'src/new.js', previousFilename: 'src/old.js', status: 'renamed' }
+    ]);
+
+    expect(changes).toEqual({
+      gained: 1,
+      lost: 1,
+      added: 2,
+      deleted: 0,
+      files: [{ path: 'src/app.js', gained: [4], lost: [5], added: [1, 2], deleted: [] }]
+    });
+    // Compared by raw line number, the shifted lines are miscounted
+    expect(getLineChanges(base, head)).toMatchObject({ gained: 0, lost: 1, added: 3, deleted: 1 });
+  });
+
+  test('should resolve report paths against the declared sources and repository roots', async () => {
+    const model = await parseCobertura(`<coverage>
+      <sources><source>/app/service</source><source>/app/lib</source></sources>
+      <packages><package name="p"><classes>
+        <class filename="api/views.py"><lines><line number="1" hits="1" /></lines></class>
+        <class filename="helpers.py"><lines><line number="1" hits="1" /></lines></class>
+        <class filename="/opt/venv/site.py"><lines><line number="1" hits="1" /></lines></class>
+      </classes></package></packages>
+    </coverage>`);
+
+    resolveFilePaths(model, {
+      repositoryRoots: ['/home/runner/work/repo/repo', '/app/'],
+      exists: (filePath) => filePath === 'lib/helpers.py'
+    });
+
+    // Without a matching file on disk the first source root wins
+    expect([...model.files.keys()]).toEqual(['service/api/views.py', 'lib/helpers.py', '/opt/venv/site.py']);
+    expect(model.files.get('lib/helpers.py').path).toBe('lib/helpers.py');
+  });
+
+  test('should format line ranges', () => {
+    expect(formatLineRanges([29, 7, 8, 9, 32])).toBe('7-9, 29, 32');
+    expect(formatLineRanges([])).toBe('');
+  });
+});
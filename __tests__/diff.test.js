@@ -0,0 +1,53 @@
+const { getAddedLines, createLineMapper } = require('../src/diff.js');
+
+describe('Unified diff helpers', () => {
+  test('should list the added lines of every hunk', () => {
+    const patch = [
+      '@@ -1,4 +1,5 @@',
+      ' import os',
+      '-import sys',
+      '+import sys, re',
+      '+import json',
+      ' ',
+      ' def main():',
+      '@@ -20,3 +21,3 @@ def helper():',
+      '     value = 1',
+      '-    return value',
+      '+    return value + 1',
+      '\\ No newline at end of file'
+    ].join('\n');
+
+    expect(getAddedLines(patch)).toEqual([2, 3, 22]);
+  });
+
+  test('should return no lines without a patch', () => {
+    expect(getAddedLines(undefined)).toEqual([]);
+  });
+
+  test('should map old line numbers to new ones across hunks', () => {
+    const mapLine = createLineMapper([
+      '@@ -1,3 +1,4 @@',
+      ' import os',
+      '-import sys',
+      '+import sys, re',
+      '+import json',
+      ' ',
+      '@@ -20,2 +21,1 @@ def helper():',
+      '-    value = 1',
+      '     return value'
+    ].join('\n'));
+
+    expect(mapLine(1)).toBe(1);
+    expect(mapLine(2)).toBeNull();
+    expect(mapLine(3)).toBe(4);
+    // Between the hunks lines are shifted by the line added in the first one
+    expect(mapLine(10)).toBe(11);
+    expect(mapLine(20)).toBeNull();
+    expect(mapLine(21)).toBe(21);
+    expect(mapLine(30)).toBe(30);
+  });
+
+  test('should keep line numbers without a patch', () => {
+    expect(createLineMapper(undefined)(12)).toBe(12);
+  });
+});
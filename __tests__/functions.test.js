@@ -0,0 +1,85 @@
+const { getFunctionCoverage, getFunctionChanges } = require('../src/functions.js');
+const { parseLcov } = require('../src/parsers/lcov.js');
+
+const BASE_LCOV = `SF:src/pricing.js
+FN:1,4,total
+FN:6,9,discount
+FN:11,12,refund
+FNDA:3,total
+FNDA:1,discount
+FNDA:1,refund
+DA:2,3
+DA:3,3
+DA:4,3
+DA:7,1
+DA:8,1
+DA:12,1
+end_of_record
+`;
+
+const HEAD_LCOV = `SF:src/pricing.js
+FN:1,4,total
+FN:6,9,discount
+FN:11,12,refund
+FN:14,16,tax
+FNDA:3,total
+FNDA:1,discount
+FNDA:0,refund
+FNDA:0,tax
+DA:2,3
+DA:3,3
+DA:4,3
+DA:7,1
+DA:8,0
+DA:12,0
+DA:15,0
+DA:16,0
+end_of_record
+`;
+
+describe('Function coverage changes', () => {
+  test('should measure functions by the lines they span', async () => {
+    const model = await parseLcov(HEAD_LCOV);
+    const file = model.files.get('src/pricing.js');
+
+    expect(getFunctionCoverage(file, file.methods[1])).toBe(0.5);
+    // A function without executable lines in the report falls back to its call count
+    expect(getFunctionCoverage(file, { name: 'noop', startLine: 20, endLine: 20, hits: 2 })).toBe(1);
+  });
+
+  test('should list untested new functions and functions that lost coverage', async () => {
+    const changes = getFunctionChanges(await parseLcov(BASE_LCOV), await parseLcov(HEAD_LCOV), [
+      { filename: 'src/pricing.js', status: 'modified' },
+      { filename: 'src/other.js', status: 'modified' }
+    ]);
+
+    expect(changes).toEqual([{
+      filename: 'src/pricing.js',
+      added: [{ name: 'tax', startLine: 14, endLine: 16, baseCoverage: null, headCoverage: 0 }],
+      dropped: [{ name: 'discount', startLine: 6, endLine: 9, baseCoverage: 1, headCoverage: 0.5 }],
+      uncovered: [{ name: 'refund', startLine: 11, endLine: 12, baseCoverage: 1, headCoverage: 0 }]
+    }]);
+  });
+
+  test('should infer the lines of functions reported with a start line only', async () => {
+    // LCOV 1.x records: FN:<line>,<name>
+    const base = await parseLcov('SF:src/cart.js\nFN:1,add\nFN:7,clear\nFNDA:2,add\nFNDA:1,clear\n' +
+      'DA:2,2\nDA:3,2\nDA:4,2\nDA:5,2\nDA:8,1\nend_of_record\n');
+    const head = await parseLcov('SF:src/cart.js\nFN:1,add\nFN:7,clear\nFNDA:2,add\nFNDA:1,clear\n' +
+      'DA:2,2\nDA:3,0\nDA:4,2\nDA:5,0\nDA:8,1\nend_of_record\n');
+
+    expect(getFunctionChanges(base, head, [{ filename: 'src/cart.js', status: 'modified' }])).toEqual([{
+      filename: 'src/cart.js',
+      added: [],
+      dropped: [{ name: 'add', startLine: 1, endLine: 6, baseCoverage: 1, headCoverage: 0.5 }],
+      uncovered: []
+    }]);
+    expect(head.files.get('src/cart.js').methods[1]).toMatchObject({ name: 'clear', startLine: 7, endLine: 8 });
+  });
+
+  test('should ignore files whose functions kept their coverage', async () => {
+    const model = await parseLcov(BASE_LCOV);
+
+    expect(getFunctionChanges(model, await parseLcov(BASE_LCOV), [{ filename: 'src/pricing.js' }])).toEqual([]);
+  });
+});
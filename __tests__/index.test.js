@@ -1,16 +1,76 @@
 const core = require('@actions/core');
 const { Storage } = require('@google-cloud/storage');
+const { S3Client } = require('@aws-sdk/client-s3');
 const { run, getFilesWithCoverageChanges } = require('../src/index.js');
+const { createCoverageModel } = require('../src/coverage.js');
 const github = require('@actions/github');
-const xml2js = require('xml2js');
 const fs = require('fs');
 const path = require('path');
 const ini = require('ini');
+const { Readable } = require('stream');
 
 // Mock the dependencies
 jest.mock('@actions/core');
 jest.mock('@actions/github');
 jest.mock('@google-cloud/storage');
+// Keep the real S3 client for resolving credentials, but never send requests
+jest.mock('@aws-sdk/client-s3', () => ({
+  ...jest.requireActual('@aws-sdk/client-s3'),
+  S3Client: jest.fn().mockImplementation(() => ({ send: jest.fn().mockRejectedValue(new Error('S3 is not available in tests')) }))
+}));
+
+// Keep the real fs functions so tests that stub them can be undone
+const originalExistsSync = fs.existsSync;
+const originalReadFileSync = fs.readFileSync;
+
+// octokit.paginate over a mocked endpoint: requests pages until one comes back short
+async function mockPaginate(method, params) {
+  const items = [];
+  for (let page = 1; ; page++) {
+    const { data } = await method({ ...params, page });
+    items.push(...data);
+    if (data.length < (params.per_page || 30)) return items;
+  }
+}
+
+// GCS file serving the contents of a download mock as read streams, in the order they are opened
+function mockGcsFile(download) {
+  return {
+    download,
+    createReadStream: jest.fn(() => {
+      const pending = download();
+      return Readable.from((async function* () {
+        const [content] = await pending;
+        yield Buffer.from(content);
+      })());
+    })
+  };
+}
+
+// Write a snapshot folder into a local storage root: report contents by file name, plus the
+// metadata.json of the upload mode when a commit is given
+function writeSnapshot(root, folder, files, sha) {
+  fs.mkdirSync(path.join(root, folder), { recursive: true });
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(root, folder, name), content));
+  if (sha) {
+    fs.writeFileSync(path.join(root, folder, 'metadata.json'), JSON.stringify({ sha }));
+  }
+}
+
+// Octokit of a PR without comments, posting to createComment. endpoints adds other APIs,
+// e.g. { pulls: { listFiles } } or { repos: { compareCommitsWithBasehead, listCommits } }
+function mockOctokit(createComment = jest.fn(), endpoints = {}) {
+  return {
+    paginate: mockPaginate,
+    rest: {
+      ...endpoints,
+      issues: {
+        createComment,
+        listComments: jest.fn().mockResolvedValue({ data: [] })
+      }
+    }
+  };
+}
 
 // Mock environment variables
 const mockEnv = {
@@ -70,11 +130,9 @@ function setupDefaultStorageMock(baseCoverage = '<?xml version="1.0"?><coverage
         { name: 'repo/main/20240315_120000/coverage.xml' },
         { name: 'repo/feature-branch/20240315_120000/coverage.xml' }
       ]]),
-      file: jest.fn().mockReturnValue({
-        download: jest.fn()
-          .mockResolvedValueOnce([baseCoverage])
-          .mockResolvedValueOnce([headCoverage])
-      })
+      file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()
+        .mockResolvedValueOnce([baseCoverage])
+        .mockResolvedValueOnce([headCoverage])))
     })
   };
 }
@@ -97,6 +155,12 @@ describe('Coverage Action', () => {
     Storage.mockImplementation(() => setupDefaultStorageMock());
   });
 
+  afterEach(() => {
+    // Undo fs stubs so they don't leak into other tests and test files
+    fs.existsSync = originalExistsSync;
+    fs.readFileSync = originalReadFileSync;
+  });
+
   test('should fail if not run on pull request', async () => {
     delete process.env.GITHUB_BASE_REF;
     delete process.env.GITHUB_HEAD_REF;
@@ -117,9 +181,7 @@ describe('Coverage Action', () => {
           { name: 'repo/main/20240315_120001/coverage.xml' }, // Later timestamp for base
           { name: 'repo/feature-branch/20240315_120000/coverage.xml' }
         ]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn().mockResolvedValue(['<coverage></coverage>'])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn().mockResolvedValue(['<coverage></coverage>'])))
       })
     }));
 
@@ -128,17 +190,16 @@ describe('Coverage Action', () => {
     expect(core.info).toHaveBeenCalledWith(
       expect.stringContaining('Found latest base coverage at timestamp: 20240315_120001')
     );
+    // Only paths of the head branch itself count, even though the listing contains main's folders
     expect(core.info).toHaveBeenCalledWith(
-      expect.stringContaining('Found latest head coverage at timestamp: 20240315_120001')
+      expect.stringContaining('Found latest head coverage at timestamp: 20240315_120000')
     );
   });
 
   test('should attempt to download coverage files', async () => {
     // Create mock functions
     const mockDownload = jest.fn().mockResolvedValue(['<coverage></coverage>']);
-    const mockFile = jest.fn().mockReturnValue({
-      download: mockDownload
-    });
+    const mockFile = jest.fn().mockReturnValue(mockGcsFile(mockDownload));
     const mockGetFiles = jest.fn().mockResolvedValue([[
       { name: 'repo/main/20240315_120000/cobertura-coverage.xml' },
       { name: 'repo/feature-branch/20240315_120000/cobertura-coverage.xml' }
@@ -219,6 +280,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn();
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         issues: {
           createComment: mockCreateComment,
@@ -284,6 +346,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn();
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         issues: {
           createComment: mockCreateComment,
@@ -299,11 +362,9 @@ describe('Coverage Action', () => {
           { name: 'repo/main/20240315_120000/coverage.xml' },
           { name: 'repo/feature-branch/20240315_120000/coverage.xml' }
         ]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn()
-            .mockResolvedValueOnce([baseCoverageXML])
-            .mockResolvedValueOnce([headCoverageXML])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()
+          .mockResolvedValueOnce([baseCoverageXML])
+          .mockResolvedValueOnce([headCoverageXML])))
       })
     }));
 
@@ -346,6 +407,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn();
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         issues: {
           createComment: mockCreateComment,
@@ -361,9 +423,7 @@ describe('Coverage Action', () => {
           { name: 'repo/main/20240315_120000/coverage.xml' },
           { name: 'repo/feature-branch/20240315_120000/coverage.xml' }
         ]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn().mockResolvedValue([coverageXML])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn().mockResolvedValue([coverageXML])))
       })
     }));
 
@@ -406,6 +466,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn();
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         issues: {
           createComment: mockCreateComment,
@@ -421,11 +482,9 @@ describe('Coverage Action', () => {
           { name: 'repo/main/20240315_120000/coverage.xml' },
           { name: 'repo/feature-branch/20240315_120000/coverage.xml' }
         ]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn()
-            .mockResolvedValueOnce([baseCoverageXML])
-            .mockResolvedValueOnce([headCoverageXML])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()
+          .mockResolvedValueOnce([baseCoverageXML])
+          .mockResolvedValueOnce([headCoverageXML])))
       })
     }));
 
@@ -497,6 +556,7 @@ describe('Coverage Action', () => {
     });
 
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         issues: {
           updateComment: mockUpdateComment,
@@ -512,11 +572,9 @@ describe('Coverage Action', () => {
           { name: 'repo/main/20240315_120000/coverage.xml' },
           { name: 'repo/feature-branch/20240315_120000/coverage.xml' }
         ]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn()
-            .mockResolvedValueOnce([baseCoverageXML])
-            .mockResolvedValueOnce([headCoverageXML])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()
+          .mockResolvedValueOnce([baseCoverageXML])
+          .mockResolvedValueOnce([headCoverageXML])))
       })
     }));
 
@@ -582,6 +640,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn();
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         issues: {
           createComment: mockCreateComment,
@@ -597,11 +656,9 @@ describe('Coverage Action', () => {
           { name: 'repo/main/20240315_120000/coverage.xml' },
           { name: 'repo/feature-branch/20240315_120000/coverage.xml' }
         ]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn()
-            .mockResolvedValueOnce([baseCoverageXML])
-            .mockResolvedValueOnce([headCoverageXML])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()
+          .mockResolvedValueOnce([baseCoverageXML])
+          .mockResolvedValueOnce([headCoverageXML])))
       })
     }));
 
@@ -647,6 +704,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn();
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         issues: {
           createComment: mockCreateComment,
@@ -662,11 +720,9 @@ describe('Coverage Action', () => {
           { name: 'repo/main/20240315_120000/coverage.xml' },
           { name: 'repo/feature-branch/20240315_120000/coverage.xml' }
         ]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn()
-            .mockResolvedValueOnce([baseCoverageXML])
-            .mockResolvedValueOnce([headCoverageXML])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()
+          .mockResolvedValueOnce([baseCoverageXML])
+          .mockResolvedValueOnce([headCoverageXML])))
       })
     }));
 
@@ -738,6 +794,7 @@ describe('Coverage Action', () => {
     });
 
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         issues: {
           updateComment: mockUpdateComment,
@@ -753,11 +810,9 @@ describe('Coverage Action', () => {
           { name: 'repo/main/20240315_120000/coverage.xml' },
           { name: 'repo/feature-branch/20240315_120000/coverage.xml' }
         ]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn()
-            .mockResolvedValueOnce([baseCoverageXML])
-            .mockResolvedValueOnce([headCoverageXML])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()
+          .mockResolvedValueOnce([baseCoverageXML])
+          .mockResolvedValueOnce([headCoverageXML])))
       })
     }));
 
@@ -796,6 +851,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn();
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         issues: {
           createComment: mockCreateComment,
@@ -811,11 +867,9 @@ describe('Coverage Action', () => {
           { name: 'repo/main/20240315_120000/coverage.xml' },
           { name: 'repo/feature-branch/20240315_120000/coverage.xml' }
         ]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn()
-            .mockResolvedValueOnce([baseCoverageXML])
-            .mockResolvedValueOnce([headCoverageXML])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()
+          .mockResolvedValueOnce([baseCoverageXML])
+          .mockResolvedValueOnce([headCoverageXML])))
       })
     }));
 
@@ -879,6 +933,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn();
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         issues: {
           createComment: mockCreateComment,
@@ -893,11 +948,9 @@ describe('Coverage Action', () => {
           { name: 'repo/main/20240315_120000/coverage.xml' },
           { name: 'repo/feature-branch/20240315_120000/coverage.xml' }
         ]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn()
-            .mockResolvedValueOnce([baseCoverageXML])
-            .mockResolvedValueOnce([headCoverageXML])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()
+          .mockResolvedValueOnce([baseCoverageXML])
+          .mockResolvedValueOnce([headCoverageXML])))
       })
     }));
 
@@ -948,6 +1001,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn();
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         issues: {
           createComment: mockCreateComment,
@@ -971,9 +1025,7 @@ describe('Coverage Action', () => {
             ]]);
           }
         }),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn()
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()))
       })
     }));
 
@@ -1061,6 +1113,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn().mockResolvedValue({});
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         pulls: {
           listFiles: mockListFiles
@@ -1082,11 +1135,9 @@ describe('Coverage Action', () => {
           { name: 'repo/main/20240315_120000/coverage.xml' },
           { name: 'repo/feature/20240315_120000/coverage.xml' }
         ]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn()
-            .mockResolvedValueOnce([Buffer.from(baseCoverageXML)])
-            .mockResolvedValueOnce([Buffer.from(headCoverageXML)])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()
+          .mockResolvedValueOnce([Buffer.from(baseCoverageXML)])
+          .mockResolvedValueOnce([Buffer.from(headCoverageXML)])))
       })
     }));
 
@@ -1161,6 +1212,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn();
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         pulls: {
           listFiles: mockListFiles
@@ -1184,11 +1236,9 @@ describe('Coverage Action', () => {
           }
           return [[]];
         }),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn()
-            .mockResolvedValueOnce([baseCoverageXML])
-            .mockResolvedValueOnce([headCoverageXML])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()
+          .mockResolvedValueOnce([baseCoverageXML])
+          .mockResolvedValueOnce([headCoverageXML])))
       })
     }));
 
@@ -1242,6 +1292,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn();
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         issues: {
           createComment: mockCreateComment,
@@ -1259,11 +1310,9 @@ describe('Coverage Action', () => {
           { name: 'repo/main/20240315_120000/coverage.xml' },
           { name: 'repo/feature-branch/20240315_120000/coverage.xml' }
         ]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn()
-            .mockResolvedValueOnce([baseCoverageXML])
-            .mockResolvedValueOnce([headCoverageXML])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()
+          .mockResolvedValueOnce([baseCoverageXML])
+          .mockResolvedValueOnce([headCoverageXML])))
       })
     }));
 
@@ -1302,6 +1351,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn();
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         issues: {
           createComment: mockCreateComment,
@@ -1319,11 +1369,9 @@ describe('Coverage Action', () => {
           { name: 'repo/main/20240315_120000/coverage.xml' },
           { name: 'repo/feature-branch/20240315_120000/coverage.xml' }
         ]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn()
-            .mockResolvedValueOnce([baseCoverageXML])
-            .mockResolvedValueOnce([headCoverageXML])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn()
+          .mockResolvedValueOnce([baseCoverageXML])
+          .mockResolvedValueOnce([headCoverageXML])))
       })
     }));
 
@@ -1341,21 +1389,9 @@ describe('Coverage Action', () => {
       }
     };
 
-    // Mock coverage data
-    const baseCoverage = {
-      coverage: {
-        classes: [{
-          class: []
-        }]
-      }
-    };
-    const headCoverage = {
-      coverage: {
-        classes: [{
-          class: []
-        }]
-      }
-    };
+    // Empty coverage models
+    const baseCoverage = createCoverageModel('cobertura');
+    const headCoverage = createCoverageModel('cobertura');
 
     // Mock PR changed files
     const prChangedFiles = [
@@ -1442,6 +1478,7 @@ describe('Coverage Action', () => {
     const mockCreateComment = jest.fn().mockResolvedValue({});
     const mockListComments = jest.fn().mockResolvedValue({ data: [] });
     github.getOctokit = jest.fn().mockReturnValue({
+      paginate: mockPaginate,
       rest: {
         pulls: {
           listFiles: jest.fn().mockResolvedValue({
@@ -1460,9 +1497,7 @@ describe('Coverage Action', () => {
       .mockResolvedValueOnce([Buffer.from(fs.readFileSync(path.join(__dirname, 'data', 'base-coverage.xml'), 'utf8'))])
       .mockResolvedValueOnce([Buffer.from(fs.readFileSync(path.join(__dirname, 'data', 'head-coverage.xml'), 'utf8'))]);
 
-    const mockFile = jest.fn().mockReturnValue({
-      download: mockDownload
-    });
+    const mockFile = jest.fn().mockReturnValue(mockGcsFile(mockDownload));
 
     const mockGetFiles = jest.fn().mockResolvedValue([[
       { name: 'repo/main/20241128_123234/coverage.xml' },
@@ -1506,18 +1541,816 @@ describe('Coverage Action', () => {
     // Verify hits and misses
     expect(commentBody).toMatch(/\+ Hits\s+61\s+71\s+10/);
     expect(commentBody).toMatch(/Misses\s+20\s+20\s+0/);
-    expect(commentBody).toMatch(/Partials\s+0\s+0\s+0/);
+    // Lines with condition-coverage such as "50% (1/2)" are partials
+    expect(commentBody).toMatch(/Partials\s+9\s+9\s+0/);
 
-    // Verify file coverage section
-    expect(commentBody).toMatch(/The main files with changes are:/);
+    // Verify file coverage section. Only module/example.py is modified by the PR, so the files
+    // whose coverage moved are indirect changes
+    expect(commentBody).not.toMatch(/The main files with changes are:/);
+    expect(commentBody).toMatch(/Indirect coverage changes \(2 files not modified in this PR\):/);
     expect(commentBody).toMatch(/@@ File Coverage Diff @@/);
-    expect(commentBody).toMatch(/## File\s+main\s+feature-branch\s+\+\/-\s+##/);
+    expect(commentBody).toMatch(/## File\s+main\s+feature-branch\s+\+\/-\s+Branches main\s+feature-branch\s+\+\/-\s+Partials\s+##/);
     expect(commentBody).toMatch(/- module\/__init__\.py\s+100\.00%\s+0\.00%\s+-100\.00%/);
     expect(commentBody).toMatch(/- module\/string_ops\.py\s+64\.00%\s+70\.97%\s+\+\s+6\.97%/);
+    // Branch rate of each file on both branches, its change and the partial lines on head
+    expect(commentBody).toMatch(/- module\/string_ops\.py\s+64\.00%\s+70\.97%\s+\+\s+6\.97%\s+59\.38%\s+67\.50%\s+\+\s+8\.13%\s+7$/m);
     expect(commentBody).toMatch(/Missing lines: 8-10, 12-13, 16-17, 19, 34, 37, 41-44, 46, 59, 62, 74/);
   });
 });
 
+describe('Coverage Action with local storage', () => {
+  let storageRoot;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...process.env, ...mockEnv };
+    storageRoot = fs.mkdtempSync(path.join(require('os').tmpdir(), 'coverage-action-'));
+    github.context = defaultGithubContext;
+  });
+
+  afterEach(() => {
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  test('should compare reports stored in a local directory without GCS', async () => {
+    const { baseCoverageXML, headCoverageXML, expectedDiff } = loadTestData('python');
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'coverage.xml': baseCoverageXML });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', { 'coverage.xml': headCoverageXML });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      gcp_credentials: '',
+      gcp_bucket: '',
+      storage_backend: 'local',
+      local_storage_path: storageRoot
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment));
+
+    await run();
+
+    expect(Storage).not.toHaveBeenCalled();
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toMatch(
+      new RegExp(`- Coverage\\s+${expectedDiff.overall.baseCoverage}\\s+${expectedDiff.overall.headCoverage}\\s+${expectedDiff.overall.difference}`)
+    );
+  });
+
+  test('should leave S3 credentials from the environment to the AWS credential chain', async () => {
+    process.env.AWS_ACCESS_KEY_ID = 'role-key';
+    process.env.AWS_SECRET_ACCESS_KEY = 'role-secret';
+    process.env.AWS_SESSION_TOKEN = 'role-session';
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 's3',
+      s3_bucket: 'test-bucket',
+      s3_region: 'eu-west-1'
+    })[name]);
+
+    try {
+      await run();
+
+      const config = S3Client.mock.calls[0][0];
+      expect(config.credentials).toBeUndefined();
+      // The session token set by role-based credentials is kept
+      const { S3Client: RealS3Client } = jest.requireActual('@aws-sdk/client-s3');
+      expect(await new RealS3Client(config).config.credentials()).toMatchObject({
+        accessKeyId: 'role-key',
+        secretAccessKey: 'role-secret',
+        sessionToken: 'role-session'
+      });
+    } finally {
+      delete process.env.AWS_ACCESS_KEY_ID;
+      delete process.env.AWS_SECRET_ACCESS_KEY;
+      delete process.env.AWS_SESSION_TOKEN;
+    }
+  });
+
+  test('should compare LCOV reports', async () => {
+    const baseLcov = 'SF:src/app.js\nDA:1,1\nDA:2,0\nDA:3,0\nDA:4,0\nBRDA:2,0,0,0\nBRDA:2,0,1,0\nend_of_record\n';
+    const headLcov = 'SF:src/app.js\nDA:1,1\nDA:2,1\nDA:3,1\nDA:4,0\nBRDA:2,0,0,1\nBRDA:2,0,1,0\nend_of_record\n';
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'lcov.info': baseLcov });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', { 'lcov.info': headLcov });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      coverage_format: 'lcov',
+      coverage_filename: 'lcov.info',
+      min_coverage: '50',
+      show_missing_lines: 'true'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment));
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toMatch(/Coverage\s+25\.00%\s+75\.00%\s+50\.00%/);
+    expect(commentBody).toMatch(/Branches\s+2\s+2\s+0/);
+    expect(commentBody).toMatch(/Partials\s+0\s+1\s+1/);
+    expect(commentBody).toMatch(/src\/app\.js/);
+  });
+
+  test('should fail when branch coverage is below min_branch_coverage', async () => {
+    const baseLcov = 'SF:src/app.js\nDA:1,1\nDA:2,1\nBRDA:2,0,0,1\nBRDA:2,0,1,1\nend_of_record\n';
+    const headLcov = 'SF:src/app.js\nDA:1,1\nDA:2,1\nBRDA:2,0,0,1\nBRDA:2,0,1,0\nend_of_record\n';
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'lcov.info': baseLcov });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', { 'lcov.info': headLcov });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      coverage_filename: 'lcov.info',
+      min_branch_coverage: '75'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment));
+
+    await run();
+
+    // Line coverage is unchanged at 100%, only the branch rate of the file dropped
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toMatch(/^- src\/app\.js\s+100\.00%\s+100\.00%\s+\+\s+0\.00%\s+100\.00%\s+50\.00%\s+-50\.00%\s+1$/m);
+    expect(core.setFailed).toHaveBeenCalledTimes(1);
+    expect(core.setFailed).toHaveBeenCalledWith('Branch coverage 50.00% is below minimum required 75%');
+  });
+
+  test('should list the functions of changed files that lost coverage', async () => {
+    const baseLcov = 'SF:src/app.js\nFN:1,2,start\nFN:4,5,stop\nFNDA:1,start\nFNDA:1,stop\nDA:2,1\nDA:5,1\nend_of_record\n';
+    const headLcov = 'SF:src/app.js\nFN:1,2,start\nFN:4,5,stop\nFN:7,8,restart\nFNDA:1,start\nFNDA:0,stop\nFNDA:0,restart\nDA:2,1\nDA:5,0\nDA:8,0\nend_of_record\n';
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'lcov.info': baseLcov });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', { 'lcov.info': headLcov });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      coverage_filename: 'lcov.info',
+      min_coverage: '10'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment, {
+      pulls: {
+        listFiles: jest.fn().mockResolvedValue({ data: [{ filename: 'src/app.js', status: 'modified' }] })
+      }
+    }));
+
+    await run();
+
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toContain([
+      'Function coverage changes:',
+      '',
+      '- `src/app.js`',
+      '  - ❌ `stop` (lines 4-5) is no longer covered, was 100.00%',
+      '  - 🆕 `restart` (lines 7-8) was added without coverage'
+    ].join('\n'));
+    expect(commentBody).toContain('Executable lines: 0 newly covered, 1 newly missed, 1 added, 0 deleted');
+  });
+
+  test('should report patch coverage and fail below min_patch_coverage', async () => {
+    const lcov = 'SF:src/app.js\nDA:1,1\nDA:2,1\nDA:3,0\nDA:4,1\nend_of_record\n';
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'lcov.info': lcov });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', { 'lcov.info': lcov });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      coverage_filename: 'lcov.info',
+      min_coverage: '50',
+      min_patch_coverage: '80'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment, {
+      pulls: {
+        listFiles: jest.fn().mockResolvedValue({
+          data: [{ filename: 'src/app.js', status: 'modified', patch: '@@ -1,2 +1,4 @@\n line\n+added\n+added\n line' }]
+        })
+      }
+    }));
+
+    await run();
+
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toMatch(/^- Patch\s+50\.00%$/m);
+    expect(commentBody).toContain('- `src/app.js`: 50.00% (1 of 2 lines), missing line 3');
+    expect(core.setFailed).toHaveBeenCalledTimes(1);
+    expect(core.setFailed).toHaveBeenCalledWith('Patch coverage 50.00% is below minimum required 80%');
+  });
+
+  test('should list the line ranges that lost coverage', async () => {
+    const baseLcov = 'SF:src/app.js\nDA:1,1\nDA:2,1\nDA:3,1\nDA:4,1\nDA:5,1\nend_of_record\n';
+    // One line inserted at the top, the lines that were 2-3 and 5 are no longer run
+    const headLcov = 'SF:src/app.js\nDA:1,1\nDA:2,1\nDA:3,0\nDA:4,0\nDA:5,1\nDA:6,0\nend_of_record\n';
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'lcov.info': baseLcov });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', { 'lcov.info': headLcov });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      coverage_filename: 'lcov.info',
+      min_coverage: '10'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment, {
+      pulls: {
+        listFiles: jest.fn().mockResolvedValue({
+          data: [{ filename: 'src/app.js', status: 'modified', patch: '@@ -1,1 +1,2 @@\n+added\n line' }]
+        })
+      }
+    }));
+
+    await run();
+
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toContain('Lines that lost coverage:\n\n- `src/app.js`: 3-4, 6');
+  });
+
+  test('should separate indirect coverage changes from the files modified by the PR', async () => {
+    const baseLcov = 'SF:src/app.js\nDA:1,1\nDA:2,0\nend_of_record\nSF:src/util.js\nDA:1,1\nDA:2,1\nend_of_record\n';
+    const headLcov = 'SF:src/app.js\nDA:1,1\nDA:2,1\nend_of_record\nSF:src/util.js\nDA:1,1\nDA:2,0\nend_of_record\n';
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'lcov.info': baseLcov });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', { 'lcov.info': headLcov });
+
+    const runWithIndirectChanges = async (indirectChanges) => {
+      core.getInput.mockImplementation((name) => ({
+        ...defaultMockInputs,
+        storage_backend: 'local',
+        local_storage_path: storageRoot,
+        coverage_filename: 'lcov.info',
+        min_coverage: '10',
+        indirect_changes: indirectChanges
+      })[name]);
+
+      const mockCreateComment = jest.fn();
+      github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment, {
+        pulls: {
+          listFiles: jest.fn().mockResolvedValue({ data: [{ filename: 'src/app.js', status: 'modified' }] })
+        }
+      }));
+
+      await run();
+      return mockCreateComment.mock.calls[0][0].body;
+    };
+
+    const collapsed = await runWithIndirectChanges('collapse');
+    const [direct, indirect] = collapsed.split('<details>');
+    expect(direct).toMatch(/The main files with changes are:[\s\S]*\+ src\/app\.js\s+50\.00%\s+100\.00%/);
+    expect(direct).not.toMatch(/src\/util\.js\s/);
+    expect(indirect).toMatch(/^<summary>Indirect coverage changes \(1 file not modified in this PR\)<\/summary>$/m);
+    expect(indirect).toMatch(/- src\/util\.js\s+100\.00%\s+50\.00%/);
+
+    // Both files are in the same directory, so there is no rollup to show
+    expect(collapsed).not.toMatch(/Coverage by directory/);
+
+    const hidden = await runWithIndirectChanges('hide');
+    expect(hidden).toMatch(/\+ src\/app\.js\s+50\.00%\s+100\.00%/);
+    expect(hidden).not.toMatch(/Indirect coverage changes|src\/util\.js\s+100/);
+  });
+
+  test('should roll coverage up per directory', async () => {
+    const baseLcov = 'SF:app/api/views.js\nDA:1,1\nDA:2,1\nend_of_record\nSF:app/core.js\nDA:1,1\nend_of_record\nSF:lib/util.js\nDA:1,0\nend_of_record\n';
+    const headLcov = 'SF:app/api/views.js\nDA:1,1\nDA:2,0\nend_of_record\nSF:app/core.js\nDA:1,1\nend_of_record\nSF:lib/util.js\nDA:1,0\nend_of_record\n';
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'lcov.info': baseLcov });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', { 'lcov.info': headLcov });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      coverage_filename: 'lcov.info',
+      min_coverage: '10'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment));
+
+    await run();
+
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toContain('Coverage by directory:');
+    expect(commentBody).toMatch(/^- app\/\s+100\.00%\s+66\.67%\s+-33\.33%$/m);
+    expect(commentBody).toMatch(/^- {3}api\/\s+100\.00%\s+50\.00%\s+-50\.00%$/m);
+    expect(commentBody).toMatch(/^ {2}lib\/\s+0\.00%\s+0\.00%\s+\+\s+0\.00%$/m);
+  });
+
+  test('should include every changed file of large PRs in the patch coverage', async () => {
+    // 45 changed files span two pages of pulls.listFiles, only the last one lacks coverage
+    const filenames = Array.from({ length: 45 }, (_, index) => `src/file${index}.js`);
+    const lcov = filenames.map((filename, index) => `SF:${filename}\nDA:1,${index === 44 ? 0 : 1}\nend_of_record\n`).join('');
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'lcov.info': lcov });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', { 'lcov.info': lcov });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      coverage_filename: 'lcov.info',
+      min_coverage: '50',
+      min_patch_coverage: '100'
+    })[name]);
+
+    const files = filenames.map(filename => ({ filename, status: 'modified', patch: '@@ -0,0 +1 @@\n+added' }));
+    const listFiles = jest.fn(async ({ page = 1, per_page: perPage = 30 }) => ({
+      data: files.slice((page - 1) * perPage, page * perPage)
+    }));
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment, {
+      pulls: { listFiles }
+    }));
+
+    await run();
+
+    expect(listFiles).toHaveBeenCalledWith(expect.objectContaining({ pull_number: 123, per_page: 100 }));
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toContain('- `src/file44.js`: 0.00% (0 of 1 line), missing line 1');
+    expect(core.setFailed).toHaveBeenCalledWith('Patch coverage 97.78% is below minimum required 100%');
+  });
+
+  test('should not report files past the first page of PR files as indirect changes', async () => {
+    const filenames = Array.from({ length: 35 }, (_, index) => `src/file${index}.js`);
+    const report = (lastHits) => filenames.map((filename, index) => `SF:${filename}\nDA:1,1\nDA:2,${index === 34 ? lastHits : 1}\nend_of_record\n`).join('');
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'lcov.info': report(0) });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', { 'lcov.info': report(1) });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      coverage_filename: 'lcov.info',
+      indirect_changes: 'hide'
+    })[name]);
+
+    const files = filenames.map(filename => ({ filename, status: 'modified' }));
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment, {
+      pulls: {
+        listFiles: jest.fn(async ({ page = 1, per_page: perPage = 30 }) => ({
+          data: files.slice((page - 1) * perPage, page * perPage)
+        }))
+      }
+    }));
+
+    await run();
+
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toMatch(/The main files with changes are:[\s\S]*\+ src\/file34\.js\s+50\.00%\s+100\.00%/);
+  });
+
+  test('should compare JaCoCo reports against the PR file paths', async () => {
+    const baseCoverageXML = fs.readFileSync(path.join(__dirname, 'data', 'jacoco-base.xml'), 'utf8');
+    const headCoverageXML = fs.readFileSync(path.join(__dirname, 'data', 'jacoco-head.xml'), 'utf8');
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'jacoco.xml': baseCoverageXML });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', { 'jacoco.xml': headCoverageXML });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      coverage_format: 'jacoco',
+      coverage_filename: 'jacoco.xml',
+      min_coverage: '50'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment, {
+      pulls: {
+        listFiles: jest.fn().mockResolvedValue({
+          data: [
+            { filename: 'src/main/java/com/example/app/Calculator.java', status: 'modified' },
+            { filename: 'src/main/java/com/example/app/Parser.java', status: 'added' }
+          ]
+        })
+      }
+    }));
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toMatch(/Coverage\s+50\.00%\s+83\.33%\s+33\.33%/);
+    expect(commentBody).toMatch(/Instructions\s+22\s+22\s+0/);
+    expect(commentBody).toMatch(/Partials\s+1\s+2\s+1/);
+    expect(commentBody).toMatch(/src\/main\/java\/com\/example\/app\/Calculator\.java/);
+    // Only the file without any coverage data is reported as uncovered
+    expect(commentBody).toMatch(/src\/main\/java\/com\/example\/app\/Parser\.java/);
+    expect(commentBody).not.toMatch(/^- src\/main\/java\/com\/example\/app\/Calculator\.java$/m);
+  });
+
+  test('should resolve report paths generated in a container with repo_root', async () => {
+    const report = (hits) => `<coverage>
+      <sources><source>/app/python_coverage</source></sources>
+      <packages><package name="module"><classes>
+        <class filename="module/example.py"><lines>
+          <line number="1" hits="1" /><line number="2" hits="${hits}" />
+        </lines></class>
+      </classes></package></packages>
+    </coverage>`;
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'coverage.xml': report(0) });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', { 'coverage.xml': report(1) });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      repo_root: '/app',
+      min_coverage: '50'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment, {
+      pulls: {
+        listFiles: jest.fn().mockResolvedValue({
+          data: [{ filename: 'python_coverage/module/example.py', status: 'modified' }]
+        })
+      }
+    }));
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toMatch(/python_coverage\/module\/example\.py/);
+    // The changed file is found in the reports, so it isn't listed as uncovered
+    expect(commentBody).not.toMatch(/^- python_coverage\/module\/example\.py$/m);
+  });
+
+  test('should compare Go coverprofiles and report uncovered Go files', async () => {
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', {
+      'coverage.out': 'mode: set\ngithub.com/owner/repo/pkg/sum.go:3.20,5.2 2 1\ngithub.com/owner/repo/pkg/sum.go:7.20,9.2 2 0\n'
+    });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', {
+      'coverage.out': 'mode: set\ngithub.com/owner/repo/pkg/sum.go:3.20,5.2 2 1\ngithub.com/owner/repo/pkg/sum.go:7.20,9.2 2 1\n'
+    });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      coverage_format: 'go',
+      coverage_filename: 'coverage.out'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment, {
+      pulls: {
+        listFiles: jest.fn().mockResolvedValue({
+          data: [
+            { filename: 'pkg/sum.go', status: 'modified' },
+            { filename: 'pkg/untested.go', status: 'added' }
+          ]
+        })
+      }
+    }));
+
+    await run();
+
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toMatch(/Coverage\s+50\.00%\s+100\.00%\s+50\.00%/);
+    // Without a go.mod, the module path defaults to github.com/<owner>/<repo>
+    expect(commentBody).toMatch(/pkg\/sum\.go/);
+    expect(commentBody).toMatch(/^- pkg\/untested\.go$/m);
+  });
+
+  test('should list the tests exercising changed lines from coverage.py contexts', async () => {
+    const report = (executed, missing, contexts) => JSON.stringify({
+      meta: { format: 3, version: '7.6.8', timestamp: '2024-03-15T12:00:00', show_contexts: true },
+      files: { 'app/pricing.py': { executed_lines: executed, missing_lines: missing, excluded_lines: [], contexts } },
+      totals: {}
+    });
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'coverage.json': report([1, 2], [3, 4], {}) });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', {
+      'coverage.json': report([1, 2, 3, 4], [], {
+        1: [''],
+        3: ['tests/test_pricing.py::test_discount|run'],
+        4: ['tests/test_checkout.py::test_total|run']
+      })
+    });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      coverage_format: 'coveragepy',
+      coverage_filename: 'coverage.json'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment, {
+      pulls: {
+        listFiles: jest.fn().mockResolvedValue({
+          data: [{ filename: 'app/pricing.py', status: 'modified', patch: '@@ -3,2 +3,2 @@\n-a\n-b\n+c\n+d' }]
+        })
+      }
+    }));
+
+    await run();
+
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toMatch(/Coverage\s+50\.00%\s+100\.00%\s+50\.00%/);
+    expect(commentBody).toContain('Tests exercising the changed lines:');
+    expect(commentBody).toContain('  - `tests/test_pricing.py::test_discount` (line 3)');
+    expect(commentBody).toContain('  - ⚠️ Changed line 4 only covered incidentally by unrelated tests: `tests/test_checkout.py::test_total`');
+  });
+
+  test('should fail with the formats tried when a report format is not recognized', async () => {
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'coverage.xml': '<html>Access denied</html>' });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_120000', { 'coverage.xml': '<html>Access denied</html>' });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot
+    })[name]);
+
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit());
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Failed to parse coverage report repo/main/20240315_120000/coverage.xml: Unable to detect the coverage report format. Formats tried: cobertura, lcov, jacoco, istanbul, go, coveragepy, clover'
+    );
+  });
+
+  test('should compare against the base snapshot recorded for the merge base', async () => {
+    const { baseCoverageXML, headCoverageXML, expectedDiff } = loadTestData('python');
+    // The newest base snapshot comes from a commit the PR doesn't contain
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'coverage.xml': baseCoverageXML }, 'merge-base-sha');
+    writeSnapshot(storageRoot, 'repo/main/20240316_120000', { 'coverage.xml': headCoverageXML }, 'unrelated-sha');
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240316_130000', { 'coverage.xml': headCoverageXML }, 'head-sha');
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot
+    })[name]);
+
+    const mockCompare = jest.fn().mockResolvedValue({ data: { merge_base_commit: { sha: 'merge-base-sha' } } });
+    const mockListCommits = jest.fn().mockResolvedValue({
+      data: [{ sha: 'merge-base-sha', commit: { committer: { date: '2024-03-15T11:00:00Z' } } }]
+    });
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment, {
+      repos: { compareCommitsWithBasehead: mockCompare, listCommits: mockListCommits }
+    }));
+
+    await run();
+
+    expect(mockCompare).toHaveBeenCalledWith(expect.objectContaining({ basehead: 'base-sha...head-sha' }));
+    expect(core.info).toHaveBeenCalledWith('Found base coverage for commit merge-base-sha at timestamp: 20240315_120000');
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toMatch(
+      new RegExp(`- Coverage\\s+${expectedDiff.overall.baseCoverage}\\s+${expectedDiff.overall.headCoverage}\\s+${expectedDiff.overall.difference}`)
+    );
+  });
+
+  test('should fall back to the latest base snapshot when no commit matches', async () => {
+    const { headCoverageXML } = loadTestData('python');
+    writeSnapshot(storageRoot, 'repo/main/20240316_120000', { 'coverage.xml': headCoverageXML });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240316_130000', { 'coverage.xml': headCoverageXML });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment, {
+      repos: {
+        compareCommitsWithBasehead: jest.fn().mockResolvedValue({ data: { merge_base_commit: { sha: 'abcdef1234' } } }),
+        listCommits: jest.fn().mockResolvedValue({ data: [] })
+      }
+    }));
+
+    await run();
+
+    expect(core.info).toHaveBeenCalledWith('Found latest base coverage at timestamp: 20240316_120000');
+    expect(mockCreateComment.mock.calls[0][0].body).toContain(
+      'No coverage report was recorded for the merge base abcdef1 or its recent ancestors; using the latest report on main.'
+    );
+  });
+
+  test('should wait for the snapshot of the PR head commit', async () => {
+    const { baseCoverageXML, headCoverageXML, expectedDiff } = loadTestData('python');
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'coverage.xml': baseCoverageXML }, 'base-sha');
+    // An earlier push of the PR is already there, the current one arrives while polling
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_130000', { 'coverage.xml': baseCoverageXML }, 'previous-head-sha');
+    const upload = setTimeout(() => {
+      writeSnapshot(storageRoot, 'repo/feature-branch/20240315_140000', { 'coverage.xml': headCoverageXML }, 'head-sha');
+    }, 100);
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      base_selection: 'latest',
+      head_wait_timeout: '5',
+      head_poll_interval: '0.05'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment));
+
+    await run();
+    clearTimeout(upload);
+
+    expect(core.info).toHaveBeenCalledWith(expect.stringContaining('Coverage report for head commit head-sha not found yet (attempt 1)'));
+    expect(core.info).toHaveBeenCalledWith('Found head coverage for commit head-sha at timestamp: 20240315_140000');
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).not.toContain('⚠️');
+    expect(commentBody).toMatch(
+      new RegExp(`- Coverage\\s+${expectedDiff.overall.baseCoverage}\\s+${expectedDiff.overall.headCoverage}\\s+${expectedDiff.overall.difference}`)
+    );
+  });
+
+  test('should warn when falling back to a stale head snapshot', async () => {
+    const { baseCoverageXML, headCoverageXML } = loadTestData('python');
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'coverage.xml': baseCoverageXML });
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240315_130000', { 'coverage.xml': headCoverageXML }, 'previous-head-sha');
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      base_selection: 'latest',
+      head_wait_timeout: '0.1',
+      head_poll_interval: '0.05'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment));
+
+    await run();
+
+    const warning = 'No coverage report was found for the head commit head-sh after waiting 0.1s. ' +
+      'Showing coverage from an earlier push (commit previou, uploaded 20240315_130000), so these numbers may be stale.';
+    expect(core.warning).toHaveBeenCalledWith(warning);
+    expect(mockCreateComment.mock.calls[0][0].body).toContain(`<!-- Coverage Report Bot -->\n> ⚠️ ${warning}`);
+  });
+
+  test('should discover snapshots through a custom path template', async () => {
+    const { baseCoverageXML, headCoverageXML, expectedDiff } = loadTestData('python');
+    process.env.GITHUB_HEAD_REF = 'feature/login';
+    writeSnapshot(storageRoot, 'owner/repo/main/20240315_120000', { 'cobertura.xml': baseCoverageXML });
+    writeSnapshot(storageRoot, 'owner/repo/feature/login/20240316_120000', { 'cobertura.xml': headCoverageXML });
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      path_template: '{owner}/{repo}/{branch}/{timestamp}/{filename}',
+      coverage_filename: 'cobertura.xml'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment));
+
+    await run();
+
+    expect(core.info).toHaveBeenCalledWith('Downloading head coverage from: owner/repo/feature/login/20240316_120000/cobertura.xml');
+    expect(mockCreateComment.mock.calls[0][0].body).toMatch(
+      new RegExp(`- Coverage\\s+${expectedDiff.overall.baseCoverage}\\s+${expectedDiff.overall.headCoverage}\\s+${expectedDiff.overall.difference}`)
+    );
+  });
+
+  test('should merge the reports of matrix jobs before comparing', async () => {
+    const report = (hits) => `<?xml version="1.0"?>
+<coverage line-rate="0" branches-valid="0" branches-covered="0" timestamp="1">
+  <packages><package name="."><classes>
+    <class name="app.py" filename="app.py"><lines>
+      ${hits.map((count, index) => `<line number="${index + 1}" hits="${count}"/>`).join('')}
+    </lines></class>
+  </classes></package></packages>
+</coverage>`;
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'coverage-3.10.xml': report([1, 1, 0, 0]) }, 'base-sha');
+    // Two matrix legs of the head commit, uploaded separately
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240316_120000', { 'coverage-3.10.xml': report([1, 0, 0, 0]) }, 'head-sha');
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240316_120100', { 'coverage-3.11.xml': report([0, 1, 1, 0]) }, 'head-sha');
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      base_selection: 'latest',
+      coverage_filename: 'coverage*.xml'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment));
+
+    await run();
+
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toMatch(/Coverage\s+50\.00%\s+75\.00%\s+25\.00%/);
+    expect(commentBody).toMatch(/Reports\s+1\s+2\s+1/);
+    expect(commentBody).toMatch(/Lines\s+4\s+4\s+0/);
+  });
+
+  test('should merge every report of the commit of the latest base snapshot', async () => {
+    const report = (hits) => `<?xml version="1.0"?>
+<coverage line-rate="0" branches-valid="0" branches-covered="0" timestamp="1">
+  <packages><package name="."><classes>
+    <class name="app.py" filename="app.py"><lines>
+      ${hits.map((count, index) => `<line number="${index + 1}" hits="${count}"/>`).join('')}
+    </lines></class>
+  </classes></package></packages>
+</coverage>`;
+    writeSnapshot(storageRoot, 'repo/main/20240314_120000', { 'coverage-3.10.xml': report([1, 1, 1, 1]) }, 'older-sha');
+    // Two matrix legs of the latest commit on main, uploaded separately
+    writeSnapshot(storageRoot, 'repo/main/20240315_120000', { 'coverage-3.10.xml': report([1, 0, 0, 0]) }, 'main-sha');
+    writeSnapshot(storageRoot, 'repo/main/20240315_120100', { 'coverage-3.11.xml': report([0, 1, 0, 0]) }, 'main-sha');
+    writeSnapshot(storageRoot, 'repo/feature-branch/20240316_120000', { 'coverage-3.10.xml': report([1, 1, 1, 0]) }, 'head-sha');
+
+    core.getInput.mockImplementation((name) => ({
+      ...defaultMockInputs,
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      base_selection: 'latest',
+      coverage_filename: 'coverage*.xml'
+    })[name]);
+
+    const mockCreateComment = jest.fn();
+    github.getOctokit = jest.fn().mockReturnValue(mockOctokit(mockCreateComment));
+
+    await run();
+
+    const commentBody = mockCreateComment.mock.calls[0][0].body;
+    expect(commentBody).toMatch(/Coverage\s+50\.00%\s+75\.00%\s+25\.00%/);
+    expect(commentBody).toMatch(/Reports\s+2\s+1/);
+  });
+
+  test('should upload a coverage snapshot with metadata in upload mode', async () => {
+    const coverageFile = path.join(storageRoot, 'coverage.xml');
+    fs.writeFileSync(coverageFile, '<?xml version="1.0"?><coverage line-rate="1.0"></coverage>');
+    process.env.GITHUB_HEAD_REF = '';
+    process.env.GITHUB_REF_NAME = 'main';
+
+    core.getInput.mockImplementation((name) => ({
+      mode: 'upload',
+      storage_backend: 'local',
+      local_storage_path: path.join(storageRoot, 'bucket'),
+      coverage_file: coverageFile
+    })[name]);
+    github.context = { ...defaultGithubContext, payload: {}, sha: 'push-sha', runId: 42, workflow: 'CI' };
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const timestamp = core.setOutput.mock.calls.find(([name]) => name === 'timestamp')[1];
+    expect(timestamp).toMatch(/^\d{8}_\d{6}$/);
+    expect(core.setOutput).toHaveBeenCalledWith('snapshot_path', `repo/main/${timestamp}/coverage.xml`);
+
+    const snapshotDir = path.join(storageRoot, 'bucket', 'repo', 'main', timestamp);
+    expect(fs.readFileSync(path.join(snapshotDir, 'coverage.xml'), 'utf8')).toContain('<coverage');
+    expect(JSON.parse(fs.readFileSync(path.join(snapshotDir, 'metadata.json'), 'utf8'))).toMatchObject({
+      sha: 'push-sha',
+      run_id: 42,
+      workflow: 'CI',
+      branch: 'main'
+    });
+  });
+
+  test('should fail in upload mode when the coverage file is missing', async () => {
+    core.getInput.mockImplementation((name) => ({
+      mode: 'upload',
+      storage_backend: 'local',
+      local_storage_path: storageRoot,
+      coverage_file: path.join(storageRoot, 'missing.xml')
+    })[name]);
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('missing.xml does not exist'));
+  });
+
+  test('should require a directory for the local backend', async () => {
+    core.getInput.mockImplementation((name, options) => {
+      if (name === 'storage_backend') return 'local';
+      if (name === 'local_storage_path' && options?.required) {
+        throw new Error('Input required and not supplied: local_storage_path');
+      }
+      return defaultMockInputs[name];
+    });
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Input required and not supplied: local_storage_path');
+  });
+});
+
 describe('Coverage Action .coveragerc Loading', () => {
   let originalCwd;
   const tempWorkspacePath = path.join(__dirname, 'temp_workspace');
@@ -1617,9 +2450,7 @@ omit =
     Storage.mockImplementation(() => ({
       bucket: jest.fn().mockReturnValue({
         getFiles: jest.fn().mockResolvedValue([[]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn().mockResolvedValue(['<?xml version="1.0"?><coverage line-rate="1.0"></coverage>'])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn().mockResolvedValue(['<?xml version="1.0"?><coverage line-rate="1.0"></coverage>'])))
       })
     }));
 
@@ -1680,9 +2511,7 @@ omit =
     Storage.mockImplementation(() => ({
       bucket: jest.fn().mockReturnValue({
         getFiles: jest.fn().mockResolvedValue([[]]),
-        file: jest.fn().mockReturnValue({
-          download: jest.fn().mockResolvedValue(['<?xml version="1.0"?><coverage line-rate="1.0"></coverage>'])
-        })
+        file: jest.fn().mockReturnValue(mockGcsFile(jest.fn().mockResolvedValue(['<?xml version="1.0"?><coverage line-rate="1.0"></coverage>'])))
       })
     }));
 
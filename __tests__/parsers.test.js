@@ -0,0 +1,352 @@
+const { parseCoverageReport, detectCoverageFormat } = require('../src/parsers');
+const { getCoverageMetrics, getFileMetrics, alignFilePaths } = require('../src/coverage.js');
+const fs = require('fs');
+const path = require('path');
+
+const LCOV_REPORT = `TN:
+SF:src/index.js
+FN:3,run
+FN:10,12,helper
+FNDA:4,run
+FNDA:0,helper
+FNF:2
+FNH:1
+DA:3,4
+DA:4,4
+DA:5,0
+DA:10,0
+BRDA:4,0,0,3
+BRDA:4,0,1,0
+BRDA:10,1,0,-
+BRDA:10,1,1,-
+BRF:4
+BRH:1
+LF:4
+LH:2
+end_of_record
+SF:src/utils.js
+DA:1,1
+end_of_record
+`;
+
+describe('LCOV parser', () => {
+  test('should read line hits, branches and functions', async () => {
+    const model = await parseCoverageReport(LCOV_REPORT, 'lcov');
+
+    expect([...model.files.keys()]).toEqual(['src/index.js', 'src/utils.js']);
+
+    const file = model.files.get('src/index.js');
+    expect(file.lines.get(4)).toEqual({ hits: 4, branches: { covered: 1, total: 2 } });
+    expect(file.lines.get(10)).toEqual({ hits: 0, branches: { covered: 0, total: 2 } });
+    // run has no end line (LCOV 1.x) and ends where helper starts
+    expect(file.methods).toEqual([
+      { name: 'run', startLine: 3, endLine: 9, hits: 4 },
+      { name: 'helper', startLine: 10, endLine: 12, hits: 0 }
+    ]);
+    expect(getFileMetrics(file).missingLines).toEqual([5, 10]);
+
+    expect(getCoverageMetrics(model)).toMatchObject({
+      lines: 5,
+      hits: 3,
+      misses: 2,
+      partials: 1,
+      branches: 4,
+      branchRate: 0.25
+    });
+  });
+
+  test('should keep the highest hits of lines reported twice', async () => {
+    const model = await parseCoverageReport('SF:a.js\nDA:1,0\nDA:1,2\nend_of_record\nSF:a.js\nDA:1,1\nDA:2,0\nend_of_record\n', 'lcov');
+
+    expect(model.files.get('a.js').lines.get(1).hits).toBe(2);
+    expect(model.files.get('a.js').lines.size).toBe(2);
+  });
+});
+
+describe('JaCoCo parser', () => {
+  const jacocoXML = fs.readFileSync(path.join(__dirname, 'data', 'jacoco-base.xml'), 'utf8');
+
+  test('should build file paths from the package and source file names', async () => {
+    const model = await parseCoverageReport(jacocoXML, 'jacoco');
+
+    // Packages nested in groups are included
+    expect([...model.files.keys()]).toEqual(['com/example/app/Calculator.java', 'com/example/util/Strings.java']);
+  });
+
+  test('should map line, branch, method and instruction counters', async () => {
+    const model = await parseCoverageReport(jacocoXML, 'jacoco');
+
+    const calculator = model.files.get('com/example/app/Calculator.java');
+    expect(calculator.lines.get(5)).toEqual({ hits: 1, branches: null });
+    expect(calculator.lines.get(9)).toEqual({ hits: 0, branches: { covered: 0, total: 2 } });
+    // Methods end on the last of the lines counted by their LINE counter
+    expect(calculator.methods.map(({ name, startLine, endLine, hits }) => [name, startLine, endLine, hits])).toEqual([
+      ['<init>', 3, 3, 1],
+      ['add', 5, 5, 1],
+      ['divide', 9, 12, 0]
+    ]);
+    // Without a LINE counter, a method runs up to the last line of the file
+    expect(model.files.get('com/example/util/Strings.java').methods[0]).toMatchObject({ startLine: 4, endLine: 4 });
+
+    expect(getCoverageMetrics(model)).toMatchObject({
+      lines: 6,
+      hits: 3,
+      misses: 3,
+      partials: 1,
+      branches: 6,
+      instructions: 22,
+      timestamp: '1710500000000'
+    });
+  });
+
+  test('should align source root relative paths with repository paths', async () => {
+    const model = await parseCoverageReport(jacocoXML, 'jacoco');
+
+    alignFilePaths(model, ['src/main/java/com/example/app/Calculator.java', 'README.md']);
+
+    expect([...model.files.keys()]).toEqual(['src/main/java/com/example/app/Calculator.java', 'com/example/util/Strings.java']);
+  });
+});
+
+describe('Istanbul parser', () => {
+  const coverageFinal = {
+    '/app/src/math.js': {
+      path: '/app/src/math.js',
+      statementMap: {
+        0: { start: { line: 1, column: 0 }, end: { line: 1, column: 20 } },
+        1: { start: { line: 3, column: 2 }, end: { line: 3, column: 30 } },
+        2: { start: { line: 3, column: 10 }, end: { line: 3, column: 15 } },
+        3: { start: { line: 4, column: 2 }, end: { line: 4, column: 12 } }
+      },
+      s: { 0: 1, 1: 0, 2: 5, 3: 0 },
+      branchMap: {
+        0: { loc: { start: { line: 3, column: 2 } }, type: 'if', locations: [{}, {}] },
+        1: { loc: { start: { line: 2, column: 14 } }, type: 'default-arg', locations: [{}] }
+      },
+      b: { 0: [5, 0], 1: [0] },
+      fnMap: {
+        0: { name: 'divide', decl: { start: { line: 2 } }, loc: { start: { line: 2 }, end: { line: 5 } } },
+        1: { name: 'unused', decl: { start: { line: 7 } }, loc: { start: { line: 7 }, end: { line: 9 } } }
+      },
+      f: { 0: 5, 1: 0 }
+    }
+  };
+
+  test('should map statements to lines and keep branch and function counts', async () => {
+    const model = await parseCoverageReport(JSON.stringify(coverageFinal), 'istanbul');
+    const file = model.files.get('/app/src/math.js');
+
+    // Statements starting on the same line keep the highest count
+    expect([...file.lines.entries()]).toEqual([
+      [1, { hits: 1, branches: { covered: 0, total: 1 } }],
+      [3, { hits: 5, branches: { covered: 1, total: 2 } }],
+      [4, { hits: 0, branches: null }]
+    ]);
+    expect(file.methods).toEqual([
+      { name: 'divide', startLine: 2, endLine: 5, hits: 5 },
+      { name: 'unused', startLine: 7, endLine: 9, hits: 0 }
+    ]);
+    expect(getFileMetrics(file)).toMatchObject({ lines: 3, covered: 2, branches: 3, coveredBranches: 1, functions: 2, coveredFunctions: 1 });
+    expect(getCoverageMetrics(model)).toMatchObject({ lines: 3, hits: 2, branches: 3, partials: 1 });
+  });
+
+  test('should read per-file totals from coverage-summary.json', async () => {
+    const summary = {
+      total: { lines: { total: 30, covered: 20 }, branches: { total: 10, covered: 4 }, functions: { total: 6, covered: 3 } },
+      '/app/src/a.js': { lines: { total: 20, covered: 15 }, branches: { total: 6, covered: 3 }, functions: { total: 4, covered: 2 } },
+      '/app/src/b.js': { lines: { total: 10, covered: 5 }, branches: { total: 4, covered: 1 }, functions: { total: 2, covered: 1 } }
+    };
+
+    const model = await parseCoverageReport(JSON.stringify(summary), 'istanbul');
+
+    expect(getFileMetrics(model.files.get('/app/src/a.js'))).toMatchObject({ lines: 20, covered: 15, lineRate: 0.75, functions: 4 });
+    expect(getCoverageMetrics(model)).toMatchObject({ lines: 30, hits: 20, misses: 10, branches: 10, branchRate: 0.4 });
+  });
+
+  test('should reject content that is not JSON', async () => {
+    await expect(parseCoverageReport('<coverage/>', 'istanbul')).rejects.toThrow('Not an Istanbul report');
+  });
+});
+
+describe('Go coverprofile parser', () => {
+  const coverprofile = [
+    'mode: count',
+    'github.com/acme/service/internal/math/math.go:3.25,4.12 1 3',
+    'github.com/acme/service/internal/math/math.go:4.12,6.3 1 0',
+    'github.com/acme/service/internal/math/math.go:7.2,7.10 1 3',
+    'github.com/acme/service/internal/math/math.go:9.20,10.2 0 0',
+    'github.com/acme/service/main.go:5.13,7.2 2 1',
+    ''
+  ].join('\n');
+
+  test('should expand blocks into per-line hits', async () => {
+    const model = await parseCoverageReport(coverprofile, 'go', { modulePath: 'github.com/acme/service' });
+
+    expect([...model.files.keys()]).toEqual(['internal/math/math.go', 'main.go']);
+    const file = model.files.get('internal/math/math.go');
+    // Line 4 is shared by both blocks, line 9 only has a block without statements
+    expect([...file.lines.entries()].map(([number, { hits }]) => [number, hits])).toEqual([
+      [3, 3], [4, 3], [5, 0], [6, 0], [7, 3]
+    ]);
+    expect(getCoverageMetrics(model)).toMatchObject({ lines: 8, hits: 6, misses: 2 });
+  });
+
+  test('should keep import paths outside of the module', async () => {
+    const model = await parseCoverageReport(coverprofile, 'go', { modulePath: 'github.com/acme/other' });
+
+    expect([...model.files.keys()]).toContain('github.com/acme/service/main.go');
+  });
+
+  test('should reject content without a mode header', async () => {
+    await expect(parseCoverageReport('main.go:1.1,2.2 1 1', 'go')).rejects.toThrow('missing "mode:" header');
+  });
+});
+
+describe('coverage.py JSON parser', () => {
+  const report = {
+    meta: { format: 3, version: '7.6.8', timestamp: '2024-03-15T12:00:00', branch_coverage: true, show_contexts: true },
+    files: {
+      'module/example.py': {
+        executed_lines: [1, 2, 3, 5],
+        missing_lines: [4, 8],
+        excluded_lines: [6],
+        executed_branches: [[2, 3], [3, 5]],
+        missing_branches: [[2, 4], [3, -1]],
+        contexts: { 1: [''], 2: ['tests.test_example.test_add'] },
+        functions: {
+          add: { executed_lines: [2, 3, 5], missing_lines: [4] },
+          unused: { executed_lines: [], missing_lines: [8] },
+          '': { executed_lines: [1], missing_lines: [] }
+        }
+      }
+    },
+    totals: {}
+  };
+
+  test('should read executed, missing and branch lines', async () => {
+    const model = await parseCoverageReport(JSON.stringify(report), 'coveragepy');
+    const file = model.files.get('module/example.py');
+
+    expect(file.lines.has(6)).toBe(false);
+    expect(file.lines.get(2)).toEqual({ hits: 1, branches: { covered: 1, total: 2 } });
+    expect(file.lines.get(4)).toEqual({ hits: 0, branches: null });
+    expect(file.contexts.get(2)).toEqual(['tests.test_example.test_add']);
+    expect(file.methods).toEqual([
+      { name: 'add', startLine: 2, endLine: 5, hits: 1 },
+      { name: 'unused', startLine: 8, endLine: 8, hits: 0 }
+    ]);
+    expect(getCoverageMetrics(model)).toMatchObject({ lines: 6, hits: 4, branches: 4, partials: 2, timestamp: '2024-03-15T12:00:00' });
+  });
+
+  test('should reject JSON that is not a coverage.py report', async () => {
+    await expect(parseCoverageReport('{"total": {}}', 'coveragepy')).rejects.toThrow('Not a coverage.py JSON report');
+  });
+});
+
+describe('Clover parser', () => {
+  const cloverXML = fs.readFileSync(path.join(__dirname, 'data', 'clover.xml'), 'utf8');
+
+  test('should map statements, conditionals and methods', async () => {
+    const model = await parseCoverageReport(cloverXML, 'clover');
+
+    // Files directly under <project> are included
+    expect([...model.files.keys()]).toEqual(['/app/src/Cart.php', '/app/helpers.php']);
+
+    const cart = model.files.get('/app/src/Cart.php');
+    expect(cart.lines.get(11)).toEqual({ hits: 4, branches: { covered: 2, total: 2 } });
+    expect(cart.lines.get(15)).toEqual({ hits: 1, branches: { covered: 1, total: 2 } });
+    // Method declarations are not statements
+    expect(cart.lines.has(8)).toBe(false);
+    // Methods run up to the next method or the last line of the file
+    expect(cart.methods).toEqual([
+      { name: 'add', startLine: 8, endLine: 13, hits: 4 },
+      { name: 'total', startLine: 14, endLine: 16, hits: 1 }
+    ]);
+
+    expect(getCoverageMetrics(model)).toMatchObject({
+      lines: 6,
+      hits: 4,
+      misses: 2,
+      partials: 1,
+      branches: 4,
+      timestamp: '1710500000'
+    });
+  });
+});
+
+describe('Coverage report parsers', () => {
+  test('should reject unknown formats', async () => {
+    await expect(parseCoverageReport('', 'emma')).rejects.toThrow('Unsupported coverage format "emma"');
+  });
+
+  test('should detect the format of every supported report', () => {
+    const read = (name) => fs.readFileSync(path.join(__dirname, 'data', name), 'utf8');
+
+    expect(detectCoverageFormat(read('base-coverage.xml'))).toBe('cobertura');
+    expect(detectCoverageFormat(read('javascript-base.xml'))).toBe('cobertura');
+    expect(detectCoverageFormat(read('jacoco-base.xml'))).toBe('jacoco');
+    expect(detectCoverageFormat(read('clover.xml'))).toBe('clover');
+    expect(detectCoverageFormat(LCOV_REPORT)).toBe('lcov');
+    expect(detectCoverageFormat('mode: atomic\nexample.com/m/a.go:1.1,2.2 1 1\n')).toBe('go');
+    expect(detectCoverageFormat('{"/app/a.js": {"path": "/app/a.js", "statementMap": {}, "s": {}}}')).toBe('istanbul');
+    expect(detectCoverageFormat('{"total": {"lines": {"total": 1, "covered": 1}}}')).toBe('istanbul');
+    expect(detectCoverageFormat('{"meta": {"format": 3}, "files": {}, "totals": {}}')).toBe('coveragepy');
+  });
+
+  test('should parse reports in the detected format', async () => {
+    const model = await parseCoverageReport(LCOV_REPORT);
+
+    expect(model.format).toBe('lcov');
+  });
+
+  test('should name the formats tried when no parser matches', async () => {
+    await expect(parseCoverageReport('<html><body>Not found</body></html>')).rejects.toThrow(
+      'Unable to detect the coverage report format. Formats tried: cobertura, lcov, jacoco, istanbul, go, coveragepy, clover'
+    );
+    await expect(parseCoverageReport('{"unexpected": true}')).rejects.toThrow('Unable to detect the coverage report format');
+  });
+
+  test('should parse reports streamed in chunks', async () => {
+    // Chunk boundaries fall inside tags and inside the multibyte characters of the file name
+    const xml = Buffer.from(
+      '<coverage><packages><package name="p"><classes><class filename="src/café.py">' +
+      '<lines><line number="1" hits="2"/><line number="2" hits="0"/></lines>' +
+      '</class></classes></package></packages></coverage>'
+    );
+    async function* chunks(content, size) {
+      for (let start = 0; start < content.length; start += size) {
+        yield content.subarray(start, start + size);
+      }
+    }
+
+    const model = await parseCoverageReport(chunks(xml, 7));
+
+    expect(model.format).toBe('cobertura');
+    expect([...model.files.keys()]).toEqual(['src/café.py']);
+    expect(getCoverageMetrics(model)).toMatchObject({ lines: 2, hits: 1 });
+
+    const json = Buffer.from(JSON.stringify({ meta: { format: 3 }, files: { 'a.py': { executed_lines: [1] } } }));
+    expect((await parseCoverageReport(chunks(json, 5))).format).toBe('coveragepy');
+  });
+
+  test('should parse large reports given as a Buffer', async () => {
+    // Far past the detection size and the decoding slices, with multibyte characters on the boundaries
+    const classes = Array.from({ length: 2000 }, (_, i) =>
+      `<class filename="src/café${i}.py"><lines><line number="1" hits="1"/></lines></class>`).join('');
+    const xml = Buffer.from(`<coverage><packages><package name="p"><classes>${classes}</classes></package></packages></coverage>`);
+
+    const model = await parseCoverageReport(xml);
+
+    expect(model.files.size).toBe(2000);
+    expect(model.files.has('src/café1999.py')).toBe(true);
+
+    // The keys identifying a coverage.py report come after the detection size
+    const files = Object.fromEntries(Array.from({ length: 2000 }, (_, i) => [`src/module${i}.py`, { executed_lines: [1, 2, 3] }]));
+    const json = Buffer.from(JSON.stringify({ files, meta: { format: 3 } }));
+    expect((await parseCoverageReport(json)).format).toBe('coveragepy');
+  });
+
+  test('should reject truncated XML reports', async () => {
+    await expect(parseCoverageReport('<coverage><packages><package name="p">', 'cobertura')).rejects.toThrow('Invalid XML');
+  });
+});
@@ -0,0 +1,39 @@
+const { getPatchCoverage } = require('../src/patch.js');
+const { parseLcov } = require('../src/parsers/lcov.js');
+
+const HEAD_LCOV = `SF:src/app.js
+DA:1,1
+DA:2,1
+DA:3,0
+DA:5,0
+end_of_record
+SF:src/util.js
+DA:1,1
+end_of_record
+`;
+
+describe('Patch coverage', () => {
+  test('should intersect the added lines with the head line hits', async () => {
+    const model = await parseLcov(HEAD_LCOV);
+    const patchCoverage = getPatchCoverage(model, [
+      // Line 4 is added but not executable, line 1 is only context
+      { filename: 'src/app.js', patch: '@@ -1,2 +1,5 @@\n line\n+added\n+added\n+comment\n+added' },
+      // Only a deletion, no added lines
+      { filename: 'src/util.js', patch: '@@ -1,2 +1,1 @@\n line\n-removed' },
+      { filename: 'README.md', patch: '@@ -0,0 +1 @@\n+docs' }
+    ]);
+
+    expect(patchCoverage).toEqual({
+      files: [{ filename: 'src/app.js', lines: 3, covered: 1, rate: 1 / 3, missingLines: [3, 5] }],
+      lines: 3,
+      covered: 1,
+      rate: 1 / 3
+    });
+  });
+
+  test('should have no rate when no executable line changed', async () => {
+    const model = await parseLcov(HEAD_LCOV);
+
+    expect(getPatchCoverage(model, [{ filename: 'src/app.js' }]).rate).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+const { getCoverageRollup, limitRollup } = require('../src/rollup.js');
+const { parseLcov } = require('../src/parsers/lcov.js');
+
+const BASE_LCOV = `SF:src/api/views.py
+DA:1,1
+DA:2,1
+end_of_record
+SF:src/api/v2/routes.py
+DA:1,1
+end_of_record
+SF:src/core.py
+DA:1,1
+DA:2,0
+end_of_record
+SF:setup.py
+DA:1,1
+end_of_record
+`;
+
+const HEAD_LCOV = `SF:src/api/views.py
+DA:1,1
+DA:2,0
+end_of_record
+SF:src/api/v2/routes.py
+DA:1,1
+end_of_record
+SF:src/core.py
+DA:1,1
+DA:2,0
+end_of_record
+SF:lib/util.py
+DA:1,1
+end_of_record
+`;
+
+describe('Directory coverage rollup', () => {
+  test('should sum lines per directory in tree order', async () => {
+    const rollup = getCoverageRollup(await parseLcov(BASE_LCOV), await parseLcov(HEAD_LCOV), 2);
+
+    expect(rollup.map(({ path, level, base, head }) => ({ path, level, base, head }))).toEqual([
+      { path: 'lib', level: 1, base: { lines: 0, covered: 0 }, head: { lines: 1, covered: 1 } },
+      { path: 'src', level: 1, base: { lines: 5, covered: 4 }, head: { lines: 5, covered: 3 } },
+      { path: 'src/api', level: 2, base: { lines: 3, covered: 3 }, head: { lines: 3, covered: 2 } }
+    ]);
+    expect(rollup[0]).toMatchObject({ baseRate: null, headRate: 1, change: null });
+    expect(rollup[1].change).toBeCloseTo(-0.2);
+  });
+
+  test('should stop at the given depth', async () => {
+    const rollup = getCoverageRollup(await parseLcov(BASE_LCOV), await parseLcov(HEAD_LCOV), 3);
+
+    expect(rollup.map(({ path }) => path)).toEqual(['lib', 'src', 'src/api', 'src/api/v2']);
+  });
+
+  test('should keep the directories with the largest changes and their parents', () => {
+    const directory = (path, change) => ({ path, level: path.split('/').length, change });
+    const rollup = [
+      directory('a', 0),
+      directory('b', 0.01),
+      directory('b/x', 0.3),
+      directory('c', -0.05),
+      directory('d', null),
+      directory('e', 0)
+    ];
+
+    expect(limitRollup(rollup, 6)).toBe(rollup);
+    // Unchanged directories are left out first, then b/x is kept with b over c
+    expect(limitRollup(rollup, 3).map(({ path }) => path)).toEqual(['b', 'b/x', 'd']);
+    expect(limitRollup(rollup, 4).map(({ path }) => path)).toEqual(['b', 'b/x', 'c', 'd']);
+    expect(limitRollup(rollup, 5).map(({ path }) => path)).toEqual(['a', 'b', 'b/x', 'c', 'd']);
+  });
+
+  test('should list the top-level directories when no coverage changed', () => {
+    const rollup = Array.from({ length: 30 }, (_, i) => `dir${String(i).padStart(2, '0')}`).flatMap(name => [
+      { path: name, level: 1, change: 0 },
+      { path: `${name}/sub`, level: 2, change: 0 }
+    ]);
+
+    const limited = limitRollup(rollup, 50);
+
+    expect(limited).toHaveLength(50);
+    expect(limited.filter(({ level }) => level === 1)).toHaveLength(30);
+    // Subdirectories are only listed below their parent, in tree order
+    expect(limited.slice(0, 3).map(({ path }) => path)).toEqual(['dir00', 'dir00/sub', 'dir01']);
+  });
+});
@@ -0,0 +1,231 @@
+const {
+  formatTimestamp,
+  createSnapshotLayout,
+  listSnapshots,
+  getReportPaths,
+  findSnapshotForCommits,
+  findLatestSnapshot,
+  uploadSnapshot
+} = require('../src/snapshots.js');
+const { createStorage } = require('../src/storage.js');
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const path = require('path');
+
+// Write a snapshot of the main branch with a report and the metadata of its upload
+async function writeSnapshot(storage, timestamp, metadata) {
+  await storage.writeFile(`repo/main/${timestamp}/coverage.xml`, '<coverage/>');
+  await storage.writeFile(`repo/main/${timestamp}/metadata.json`, JSON.stringify(metadata));
+}
+
+describe('Coverage snapshots', () => {
+  let tempRoot;
+  let storage;
+  let layout;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-snapshots-'));
+    storage = createStorage('local', { root: tempRoot });
+    layout = createSnapshotLayout(undefined, { owner: 'Owner', repo: 'Repo' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  test('should format timestamps as UTC YYYYMMDD_HHMMSS', () => {
+    expect(formatTimestamp(new Date(Date.UTC(2024, 2, 5, 7, 8, 9)))).toBe('20240305_070809');
+  });
+
+  test('should build lowercase repository snapshot paths with the default template', () => {
+    expect(layout.buildPath({ branch: 'main', timestamp: '20240315_120000' })).toBe('repo/main/20240315_120000/coverage.xml');
+    expect(layout.getListPrefix('main')).toBe('repo/main/');
+  });
+
+  test('should render and parse custom path templates', () => {
+    const custom = createSnapshotLayout('{owner}/{repo}/{branch}/{flag}/{sha}/{timestamp}/{filename}', {
+      owner: 'Org',
+      repo: 'Repo',
+      filename: 'jacoco.xml'
+    });
+    const reportPath = custom.buildPath({ branch: 'main', flag: 'java', sha: 'abc123', timestamp: '20240315_120000' });
+
+    expect(reportPath).toBe('org/repo/main/java/abc123/20240315_120000/jacoco.xml');
+    expect(custom.getListPrefix('main')).toBe('org/repo/main/');
+    expect(custom.parsePath(reportPath, 'main')).toEqual({ flag: 'java', sha: 'abc123', timestamp: '20240315_120000', filename: 'jacoco.xml' });
+    expect(custom.parsePath(reportPath, 'develop')).toBeNull();
+  });
+
+  test('should reject invalid path templates', () => {
+    expect(() => createSnapshotLayout('{repo}/{branch}/{filename}')).toThrow('must contain the {timestamp} placeholder');
+    expect(() => createSnapshotLayout('{repo}/{timestamp}/{filename}.xml')).toThrow('must end with /{filename}');
+    expect(() => createSnapshotLayout('{repo}/{project}/{timestamp}/{filename}')).toThrow('Unknown placeholder {project}');
+    expect(() => layout.buildPath({ timestamp: '20240315_120000' })).toThrow('No value for placeholder {branch}');
+  });
+
+  test('should keep snapshots of branches containing slashes apart', async () => {
+    await storage.writeFile('repo/feature/20240315_120000/coverage.xml', '<coverage/>');
+    await storage.writeFile('repo/feature/login/20240316_120000/coverage.xml', '<coverage/>');
+
+    const timestamps = async (branch) => (await listSnapshots(storage, layout, branch)).map(({ timestamp }) => timestamp);
+    expect(await timestamps('feature')).toEqual(['20240315_120000']);
+    expect(await timestamps('feature/login')).toEqual(['20240316_120000']);
+  });
+
+  test('should upload a report and metadata that compare mode can find', async () => {
+    const { timestamp, reportPath, metadataPath } = await uploadSnapshot(storage, layout, {
+      branch: 'main',
+      sha: 'abc123',
+      content: '<coverage/>',
+      metadata: { run_id: 42, workflow: 'CI' },
+      date: new Date(Date.UTC(2024, 2, 15, 12, 0, 0))
+    });
+
+    expect(timestamp).toBe('20240315_120000');
+    expect(reportPath).toBe('repo/main/20240315_120000/coverage.xml');
+    expect((await storage.readFile(reportPath)).toString()).toBe('<coverage/>');
+    expect(JSON.parse((await storage.readFile(metadataPath)).toString())).toEqual({
+      sha: 'abc123',
+      run_id: 42,
+      workflow: 'CI',
+      branch: 'main',
+      timestamp: '20240315_120000',
+      report: 'coverage.xml'
+    });
+
+    const [snapshot] = await listSnapshots(storage, layout, 'main');
+    expect(snapshot.timestamp).toBe('20240315_120000');
+    expect(getReportPaths(layout, snapshot)).toEqual([reportPath]);
+  });
+
+  test('should compress reports uploaded under a .gz file name', async () => {
+    const gzipLayout = createSnapshotLayout(undefined, { owner: 'Owner', repo: 'Repo', filename: 'coverage.xml.gz' });
+
+    const { reportPath } = await uploadSnapshot(storage, gzipLayout, { branch: 'main', sha: 'abc123', content: '<coverage/>' });
+
+    expect(reportPath).toMatch(/coverage\.xml\.gz$/);
+    expect(zlib.gunzipSync(await storage.readFile(reportPath)).toString()).toBe('<coverage/>');
+  });
+
+  test('should reject .zst uploads without zstd support before writing anything', async () => {
+    const zstdLayout = createSnapshotLayout(undefined, { owner: 'Owner', repo: 'Repo', filename: 'coverage.xml.zst' });
+    const compressed = fs.readFileSync(path.join(__dirname, 'data', 'base-coverage.xml.zst'));
+    const { zstdCompressSync } = zlib;
+    zlib.zstdCompressSync = undefined;
+    try {
+      await expect(uploadSnapshot(storage, zstdLayout, { branch: 'main', sha: 'abc123', content: '<coverage/>' }))
+        .rejects.toThrow('Cannot compress coverage.xml.zst with zstd on Node.js');
+      expect(await listSnapshots(storage, zstdLayout, 'main')).toEqual([]);
+
+      // Reports compressed before the upload are stored as they are
+      const { reportPath } = await uploadSnapshot(storage, zstdLayout, { branch: 'main', sha: 'abc123', content: compressed });
+      expect(await storage.readFile(reportPath)).toEqual(compressed);
+    } finally {
+      zlib.zstdCompressSync = zstdCompressSync;
+    }
+  });
+
+  test('should pick the newest timestamp folder', async () => {
+    await storage.writeFile('repo/main/20240315_120000/coverage.xml', '<coverage/>');
+    await storage.writeFile('repo/main/20240316_080000/coverage.xml', '<coverage/>');
+    await storage.writeFile('repo/main/latest/coverage.xml', '<coverage/>');
+
+    expect((await listSnapshots(storage, layout, 'main'))[0].timestamp).toBe('20240316_080000');
+    expect(await listSnapshots(storage, layout, 'other')).toEqual([]);
+  });
+
+  test('should select the snapshot of the closest ancestor commit', async () => {
+    await writeSnapshot(storage, '20240310_120000', { sha: 'grandparent' });
+    await writeSnapshot(storage, '20240312_120000', { sha: 'parent' });
+    await writeSnapshot(storage, '20240318_120000', { sha: 'not-an-ancestor' });
+    await storage.writeFile('repo/main/20240319_120000/coverage.xml', '<coverage/>');
+
+    const snapshot = await findSnapshotForCommits(storage, layout, 'main', [
+      { sha: 'merge-base', date: '2024-03-14T00:00:00Z' },
+      { sha: 'parent', date: '2024-03-12T00:00:00Z' },
+      { sha: 'grandparent', date: '2024-03-10T00:00:00Z' }
+    ]);
+
+    expect(snapshot.timestamp).toBe('20240312_120000');
+    expect(snapshot.sha).toBe('parent');
+  });
+
+  test('should match commits recorded in the path without reading metadata', async () => {
+    const shaLayout = createSnapshotLayout('{repo}/{branch}/{timestamp}-{sha}/{filename}', { repo: 'repo' });
+    await storage.writeFile('repo/main/20240312_120000-parent/coverage.xml', '<coverage/>');
+    const readFile = jest.spyOn(storage, 'readFile');
+
+    const snapshot = await findSnapshotForCommits(storage, shaLayout, 'main', [{ sha: 'parent' }]);
+
+    expect(snapshot.timestamp).toBe('20240312_120000');
+    expect(readFile).not.toHaveBeenCalled();
+  });
+
+  test('should not match snapshots without metadata', async () => {
+    await storage.writeFile('repo/main/20240319_120000/coverage.xml', '<coverage/>');
+
+    expect(await findSnapshotForCommits(storage, layout, 'main', [{ sha: 'merge-base' }])).toBeNull();
+  });
+
+  test('should list every report of a snapshot matching the report file pattern', async () => {
+    const matrixLayout = createSnapshotLayout(undefined, { repo: 'repo', filename: 'coverage*.xml' });
+    await storage.writeFile('repo/main/20240315_120000/coverage-3.11.xml', '<coverage/>');
+    await storage.writeFile('repo/main/20240315_120000/coverage-3.10.xml', '<coverage/>');
+    await storage.writeFile('repo/main/20240315_120000/metadata.json', '{}');
+
+    const [snapshot] = await listSnapshots(storage, matrixLayout, 'main');
+
+    expect(getReportPaths(matrixLayout, snapshot)).toEqual([
+      'repo/main/20240315_120000/coverage-3.10.xml',
+      'repo/main/20240315_120000/coverage-3.11.xml'
+    ]);
+  });
+
+  test('should group every snapshot recorded for the selected commit', async () => {
+    await writeSnapshot(storage, '20240315_120000', { sha: 'older' });
+    await writeSnapshot(storage, '20240316_120000', { sha: 'merge-base' });
+    await writeSnapshot(storage, '20240316_120500', { sha: 'other' });
+    await writeSnapshot(storage, '20240316_121000', { sha: 'merge-base' });
+
+    const snapshot = await findSnapshotForCommits(storage, layout, 'main', [
+      { sha: 'merge-base', date: '2024-03-16T11:00:00Z' },
+      { sha: 'older', date: '2024-03-15T11:00:00Z' }
+    ]);
+
+    expect(snapshot.timestamp).toBe('20240316_121000');
+    expect(snapshot.snapshots.map(({ timestamp }) => timestamp)).toEqual(['20240316_121000', '20240316_120000']);
+  });
+
+  test('should group the latest snapshot with the other snapshots of its commit or run', async () => {
+    await writeSnapshot(storage, '20240315_120000', { sha: 'latest' });
+    await writeSnapshot(storage, '20240315_120500', { sha: 'other' });
+    await writeSnapshot(storage, '20240315_121000', { sha: 'latest' });
+
+    const snapshot = await findLatestSnapshot(storage, layout, 'main');
+
+    expect(snapshot.timestamp).toBe('20240315_121000');
+    expect(snapshot.sha).toBe('latest');
+    expect(snapshot.snapshots.map(({ timestamp }) => timestamp)).toEqual(['20240315_121000', '20240315_120000']);
+
+    // Without a recorded commit, snapshots uploaded by the same workflow run belong together
+    await writeSnapshot(storage, '20240316_120000', { run_id: 7 });
+    await writeSnapshot(storage, '20240316_120500', { run_id: 7 });
+    expect((await findLatestSnapshot(storage, layout, 'main')).snapshots).toHaveLength(2);
+    expect(await findLatestSnapshot(storage, layout, 'other')).toBeNull();
+  });
+
+  test('should only read the metadata of snapshots uploaded shortly before the latest one', async () => {
+    for (let day = 1; day <= 9; day++) {
+      await writeSnapshot(storage, `2024030${day}_120000`, { sha: 'latest' });
+    }
+    await writeSnapshot(storage, '20240310_080000', { sha: 'latest' });
+    await writeSnapshot(storage, '20240310_120000', { sha: 'latest' });
+    const readFile = jest.spyOn(storage, 'readFile');
+
+    const snapshot = await findLatestSnapshot(storage, layout, 'main');
+
+    expect(snapshot.snapshots.map(({ timestamp }) => timestamp)).toEqual(['20240310_120000', '20240310_080000']);
+    expect(readFile).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,166 @@
+const { Storage } = require('@google-cloud/storage');
+const { createStorage } = require('../src/storage.js');
+const fs = require('fs');
+const { Readable } = require('stream');
+const os = require('os');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+
+describe('Storage backends', () => {
+  let tempRoot;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  test('should reject unknown backends', () => {
+    expect(() => createStorage('ftp', {})).toThrow('Unsupported storage backend "ftp"');
+  });
+
+  test('should wrap a GCS bucket', async () => {
+    const mockSave = jest.fn().mockResolvedValue();
+    const mockBucket = {
+      getFiles: jest.fn().mockResolvedValue([[
+        { name: 'repo/main/20240315_120000/coverage.xml' }
+      ]]),
+      file: jest.fn().mockReturnValue({
+        download: jest.fn().mockResolvedValue([Buffer.from('<coverage/>')]),
+        createReadStream: jest.fn(() => Readable.from([Buffer.from('<coverage/>')])),
+        save: mockSave
+      })
+    };
+    Storage.mockImplementation(() => ({ bucket: jest.fn().mockReturnValue(mockBucket) }));
+
+    const storage = createStorage('gcs', { credentials: '{"type": "service_account"}', bucket: 'test-bucket' });
+
+    expect(await storage.listFiles('repo/main/')).toEqual(['repo/main/20240315_120000/coverage.xml']);
+    expect(mockBucket.getFiles).toHaveBeenCalledWith({ prefix: 'repo/main/' });
+    expect((await storage.readFile('repo/main/20240315_120000/coverage.xml')).toString()).toBe('<coverage/>');
+
+    const chunks = [];
+    for await (const chunk of await storage.readStream('repo/main/20240315_120000/coverage.xml')) {
+      chunks.push(chunk);
+    }
+    expect(Buffer.concat(chunks).toString()).toBe('<coverage/>');
+
+    await storage.writeFile('repo/main/20240316_120000/coverage.xml', '<coverage/>');
+    expect(mockBucket.file).toHaveBeenCalledWith('repo/main/20240316_120000/coverage.xml');
+    expect(mockSave).toHaveBeenCalledWith('<coverage/>');
+  });
+
+  test('should reject invalid GCP credentials', () => {
+    expect(() => createStorage('gcs', { credentials: 'invalid-json', bucket: 'test-bucket' }))
+      .toThrow('Invalid GCP credentials JSON');
+  });
+
+  test('should page through S3 listings and read objects', async () => {
+    const send = jest.fn()
+      .mockResolvedValueOnce({
+        Contents: [{ Key: 'repo/main/20240315_120000/coverage.xml' }],
+        IsTruncated: true,
+        NextContinuationToken: 'page-2'
+      })
+      .mockResolvedValueOnce({
+        Contents: [{ Key: 'repo/main/20240316_120000/coverage.xml' }],
+        IsTruncated: false
+      })
+      .mockResolvedValueOnce({
+        Body: { transformToByteArray: jest.fn().mockResolvedValue(new TextEncoder().encode('<coverage/>')) }
+      });
+
+    const storage = createStorage('s3', { bucket: 'test-bucket', client: { send } });
+
+    expect(await storage.listFiles('repo/main/')).toEqual([
+      'repo/main/20240315_120000/coverage.xml',
+      'repo/main/20240316_120000/coverage.xml'
+    ]);
+    expect(send.mock.calls[0][0].input).toEqual({ Bucket: 'test-bucket', Prefix: 'repo/main/', ContinuationToken: undefined });
+    expect(send.mock.calls[1][0].input.ContinuationToken).toBe('page-2');
+
+    const content = await storage.readFile('repo/main/20240316_120000/coverage.xml');
+    expect(content.toString()).toBe('<coverage/>');
+    expect(send.mock.calls[2][0].input).toEqual({ Bucket: 'test-bucket', Key: 'repo/main/20240316_120000/coverage.xml' });
+  });
+
+  test('should configure the S3 client for custom endpoints', async () => {
+    const storage = createStorage('s3', {
+      bucket: 'test-bucket',
+      region: 'eu-west-1',
+      endpoint: 'http://localhost:9000',
+      forcePathStyle: true,
+      accessKeyId: 'minio',
+      secretAccessKey: 'minio123'
+    });
+
+    expect(storage.name).toBe('s3');
+    expect(() => createStorage('s3', {})).toThrow('A bucket name is required for the s3 storage backend');
+  });
+
+  test('should write, list and read reports in a local directory', async () => {
+    const storage = createStorage('local', { root: tempRoot });
+
+    await storage.writeFile('repo/main/20240315_120000/coverage.xml', '<coverage/>');
+    await storage.writeFile('repo/main/20240316_120000/coverage.xml', '<coverage/>');
+    await storage.writeFile('repo/feature/20240316_120000/coverage.xml', '<coverage/>');
+
+    expect(await storage.listFiles('repo/main/')).toEqual([
+      'repo/main/20240315_120000/coverage.xml',
+      'repo/main/20240316_120000/coverage.xml'
+    ]);
+    expect((await storage.readFile('repo/feature/20240316_120000/coverage.xml')).toString()).toBe('<coverage/>');
+  });
+
+  test('should stream local reports', async () => {
+    const storage = createStorage('local', { root: tempRoot });
+    await storage.writeFile('repo/main/20240315_120000/coverage.xml', '<coverage/>');
+
+    const chunks = [];
+    for await (const chunk of await storage.readStream('repo/main/20240315_120000/coverage.xml')) {
+      chunks.push(chunk);
+    }
+    expect(Buffer.concat(chunks).toString()).toBe('<coverage/>');
+    await expect(storage.readStream('repo/main/missing.xml')).rejects.toThrow('ENOENT');
+  });
+
+  test('should return no files for a missing local prefix', async () => {
+    const storage = createStorage('local', { root: tempRoot });
+
+    expect(await storage.listFiles('repo/unknown/')).toEqual([]);
+  });
+
+  test('should refuse local paths outside of the root directory', async () => {
+    const storage = createStorage('local', { root: tempRoot });
+
+    await expect(storage.readFile('../outside.xml')).rejects.toThrow('outside of the storage root');
+  });
+});
+
+// Runs against a real S3-compatible server, e.g.:
+// docker run -p 9000:9000 minio/minio server /data
+// MINIO_ENDPOINT=http://localhost:9000 MINIO_BUCKET=coverage npx jest storage
+const minioDescribe = process.env.MINIO_ENDPOINT ? describe : describe.skip;
+
+minioDescribe('S3 storage backend against MinIO', () => {
+  test('should round-trip a coverage report', async () => {
+    const storage = createStorage('s3', {
+      bucket: process.env.MINIO_BUCKET || 'coverage',
+      endpoint: process.env.MINIO_ENDPOINT,
+      region: process.env.MINIO_REGION || 'us-east-1',
+      forcePathStyle: true,
+      accessKeyId: process.env.MINIO_ACCESS_KEY || 'minioadmin',
+      secretAccessKey: process.env.MINIO_SECRET_KEY || 'minioadmin'
+    });
+    const key = `coverage-action-test/main/${Date.now()}/coverage.xml`;
+
+    await storage.writeFile(key, '<coverage/>');
+
+    expect(await storage.listFiles('coverage-action-test/main/')).toContain(key);
+    expect((await storage.readFile(key)).toString()).toBe('<coverage/>');
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Compressed coverage reports
+ * Downloaded reports compressed with gzip or zstd are decompressed while they are read, detected
+ * by their magic bytes. Uploaded reports are compressed when the snapshot file name ends with
+ * .gz or .zst.
+ */
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+const { Decompress } = require('fzstd');
+const { peekInput } = require('./parsers/input');
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+const ZSTD_MAGIC = Buffer.from([0x28, 0xb5, 0x2f, 0xfd]);
+
+// Compression of a report from its first bytes, or null for uncompressed reports
+function detectCompression(header) {
+  const bytes = Buffer.isBuffer(header) ? header : Buffer.from(header.slice(0, ZSTD_MAGIC.length));
+  if (bytes.subarray(0, GZIP_MAGIC.length).equals(GZIP_MAGIC)) return 'gzip';
+  if (bytes.subarray(0, ZSTD_MAGIC.length).equals(ZSTD_MAGIC)) return 'zstd';
+  return null;
+}
+
+// Compression asked for by the extension of a file name, or null
+function getCompressionForPath(filePath) {
+  if (/\.gz$/i.test(filePath)) return 'gzip';
+  if (/\.zst$/i.test(filePath)) return 'zstd';
+  return null;
+}
+
+async function* decompressZstd(chunks) {
+  const output = [];
+  const decompressor = new Decompress((data) => output.push(Buffer.from(data)));
+  for await (const chunk of chunks) {
+    decompressor.push(Buffer.from(chunk));
+    yield* output.splice(0);
+  }
+  decompressor.push(new Uint8Array(0), true);
+  yield* output.splice(0);
+}
+
+// Decompress a report given as a Buffer or a stream of chunks. Compression is detected from the
+// content rather than the file name: GCS serves gzip-encoded objects already decompressed, and
+// uncompressed reports are returned unchanged.
+async function decompressReport(content) {
+  const { head, input } = await peekInput(content, ZSTD_MAGIC.length);
+  const compression = detectCompression(head);
+  const chunks = typeof input === 'string' || Buffer.isBuffer(input) ? [input] : input;
+
+  switch (compression) {
+    case 'gzip':
+      // Errors of either stream end up on the gunzip stream, and so in the parser reading it
+      return pipeline(Readable.from(chunks), zlib.createGunzip(), () => {});
+    case 'zstd':
+      return decompressZstd(chunks);
+    default:
+      return input;
+  }
+}
+
+// Compress a report for the given snapshot file name. Reports that are already compressed,
+// or stored under a name without a compression extension, are returned unchanged.
+function compressReport(content, filePath) {
+  const compression = getCompressionForPath(filePath);
+  if (!compression || detectCompression(content)) {
+    return content;
+  }
+
+  if (compression === 'gzip') {
+    return zlib.gzipSync(content);
+  }
+  // zlib only compresses zstd since Node.js 22.15
+  if (!zlib.zstdCompressSync) {
+    throw new Error(`Cannot compress ${filePath} with zstd on Node.js ${process.version}, compress the report with zstd before uploading it`);
+  }
+  return zlib.zstdCompressSync(content);
+}
+
+module.exports = { decompressReport, compressReport, detectCompression, getCompressionForPath };
@@ -0,0 +1,84 @@
+/**
+ * Test contexts recorded per line (coverage.py --show-contexts)
+ * Tells which tests ran the lines changed in a PR, and which changed lines are only
+ * covered incidentally by tests of other modules
+ */
+const path = require('path');
+const { formatLineRanges, findCoverageFile } = require('./coverage');
+const { getAddedLines } = require('./diff');
+
+// "tests/test_mod.py::TestMod::test_add|run" -> "tests/test_mod.py::TestMod::test_add"
+function getTestName(context) {
+  return context.replace(/\|(run|setup|teardown)$/, '');
+}
+
+// Module name of a test without its test_ prefix or _test suffix, e.g. "mod" for both
+// "tests/test_mod.py::test_add" (pytest-cov) and "tests.test_mod.TestMod.test_add" (coverage.py)
+function getTestModuleStem(testName) {
+  let module;
+  if (testName.includes('::')) {
+    module = path.posix.basename(testName.split('::')[0], '.py');
+  } else {
+    const segments = testName.split('.');
+    const modules = segments.slice(0, -1).filter(segment => /^test_|_test$/.test(segment));
+    module = modules.length > 0 ? modules[modules.length - 1] : segments[Math.max(segments.length - 2, 0)];
+  }
+  return module.replace(/^test_/, '').replace(/_test$/, '');
+}
+
+// Name a test module is expected to reference for a source file: the file name without its
+// extension, or the package name for __init__ files
+function getSourceStem(filePath) {
+  const stem = path.posix.basename(filePath, path.posix.extname(filePath));
+  return stem === '__init__' ? path.posix.basename(path.posix.dirname(filePath)) : stem;
+}
+
+function isRelatedTest(testName, filePath) {
+  const sourceStem = getSourceStem(filePath);
+  const testStem = getTestModuleStem(testName);
+  return testStem === sourceStem || testStem.startsWith(`${sourceStem}_`);
+}
+
+// For every changed file with test contexts, the tests that ran its changed lines and the
+// changed lines only run by unrelated tests. Lines only run outside of tests (the empty
+// context, e.g. at import time) are ignored.
+function getChangedLineTests(model, prChangedFiles) {
+  const hasContexts = [...model.files.values()].some(file => file.contexts.size > 0);
+  if (!hasContexts) return [];
+
+  return prChangedFiles.map(({ filename, patch }) => {
+    const file = findCoverageFile(model, filename);
+    if (!file || file.contexts.size === 0) return null;
+
+    const tests = new Map();
+    const incidentalLines = [];
+    const incidentalTests = new Set();
+
+    getAddedLines(patch).forEach(number => {
+      const lineTests = [...new Set((file.contexts.get(number) || []).filter(Boolean).map(getTestName))];
+      if (lineTests.length === 0) return;
+
+      lineTests.forEach(test => {
+        if (!tests.has(test)) tests.set(test, []);
+        tests.get(test).push(number);
+      });
+
+      if (!lineTests.some(test => isRelatedTest(test, filename))) {
+        incidentalLines.push(number);
+        lineTests.forEach(test => incidentalTests.add(test));
+      }
+    });
+
+    if (tests.size === 0) return null;
+    return {
+      filename,
+      tests: [...tests.entries()]
+        .map(([name, lines]) => ({ name, lines: formatLineRanges(lines), related: isRelatedTest(name, filename) }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      incidentalLines: formatLineRanges(incidentalLines),
+      incidentalTests: [...incidentalTests].sort()
+    };
+  }).filter(Boolean);
+}
+
+module.exports = { getTestName, getTestModuleStem, isRelatedTest, getChangedLineTests };
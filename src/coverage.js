@@ -0,0 +1,384 @@
+/**
+ * Format-neutral coverage model
+ * Every report is parsed once into a model of files, lines, hits, branches and methods,
+ * and all metrics of the comparison are computed from it
+ */
+const path = require('path');
+const { createLineMapper } = require('./diff');
+
+function createCoverageModel(format = 'unknown') {
+  return {
+    format,
+    timestamp: null,
+    sources: [],
+    files: new Map(),
+    // Report-level branch totals, used only when no line carries branch information
+    branchTotals: null,
+    // Report-level counters without a per-line equivalent, e.g. JaCoCo instructions
+    counters: {}
+  };
+}
+
+function getOrCreateFile(model, filePath) {
+  if (!model.files.has(filePath)) {
+    // contexts maps line numbers to the tests that ran them, when the report records it
+    model.files.set(filePath, { path: filePath, lines: new Map(), methods: [], contexts: new Map() });
+  }
+  return model.files.get(filePath);
+}
+
+// Record a line, combining it with an existing entry for the same line (a class split
+// across packages, or another report): the highest hits and the best branch coverage win
+function addLine(file, number, hits, branches = null) {
+  const existing = file.lines.get(number);
+  if (!existing) {
+    file.lines.set(number, { hits, branches });
+    return;
+  }
+
+  existing.hits = Math.max(existing.hits, hits);
+  if (branches && (!existing.branches || branches.covered > existing.branches.covered)) {
+    existing.branches = { ...branches };
+  }
+}
+
+// Record a method (or function) by name and line range, combining duplicates the same way as lines
+function addMethod(file, { name, startLine, endLine = startLine, hits = 0 }) {
+  const existing = file.methods.find(method => method.name === name && method.startLine === startLine);
+  if (existing) {
+    existing.hits = Math.max(existing.hits, hits);
+    existing.endLine = Math.max(existing.endLine, endLine);
+    return;
+  }
+  file.methods.push({ name, startLine, endLine, hits });
+}
+
+// Fill in the end line of methods reported with a start line only (LCOV 1.x, Clover, JaCoCo
+// without a LINE counter): a method runs up to the line before the next method, or up to the
+// last of the given executable line numbers
+function inferMethodEndLines(methods, lineNumbers) {
+  let lastLine = 0;
+  for (const number of lineNumbers) {
+    lastLine = Math.max(lastLine, number);
+  }
+  const startLines = [...new Set(methods.map(method => method.startLine))].sort((a, b) => a - b);
+
+  return methods.map(method => {
+    if (method.endLine !== undefined) return method;
+    const nextStart = startLines.find(line => line > method.startLine);
+    const endLine = nextStart !== undefined ? nextStart - 1 : lastLine;
+    return { ...method, endLine: Math.max(method.startLine, endLine) };
+  });
+}
+
+// Record the test contexts (e.g. coverage.py dynamic contexts) that ran a line
+function addLineContexts(file, number, contexts) {
+  const existing = file.contexts.get(number) || [];
+  contexts.forEach(context => {
+    if (!existing.includes(context)) existing.push(context);
+  });
+  file.contexts.set(number, existing);
+}
+
+// Merge several models (e.g. from matrix jobs) per file and per line
+function mergeCoverageModels(models) {
+  if (models.length === 1) return models[0];
+
+  const merged = createCoverageModel(models.every(model => model.format === models[0].format) ? models[0].format : 'mixed');
+  models.forEach(model => {
+    if (model.timestamp && (!merged.timestamp || model.timestamp > merged.timestamp)) {
+      merged.timestamp = model.timestamp;
+    }
+    model.sources.forEach(source => {
+      if (!merged.sources.includes(source)) merged.sources.push(source);
+    });
+    if (model.branchTotals) {
+      merged.branchTotals = {
+        total: Math.max(merged.branchTotals?.total || 0, model.branchTotals.total),
+        covered: Math.max(merged.branchTotals?.covered || 0, model.branchTotals.covered)
+      };
+    }
+    Object.entries(model.counters).forEach(([type, counter]) => {
+      merged.counters[type] = {
+        total: Math.max(merged.counters[type]?.total || 0, counter.total),
+        covered: Math.max(merged.counters[type]?.covered || 0, counter.covered)
+      };
+    });
+    model.files.forEach(file => {
+      const target = getOrCreateFile(merged, file.path);
+      file.lines.forEach(({ hits, branches }, number) => addLine(target, number, hits, branches));
+      file.methods.forEach(method => addMethod(target, method));
+      file.contexts.forEach((contexts, number) => addLineContexts(target, number, contexts));
+      if (file.summary) {
+        const maxCounter = (type) => ({
+          total: Math.max(target.summary?.[type].total || 0, file.summary[type].total),
+          covered: Math.max(target.summary?.[type].covered || 0, file.summary[type].covered)
+        });
+        target.summary = { lines: maxCounter('lines'), branches: maxCounter('branches'), functions: maxCounter('functions') };
+      }
+    });
+  });
+  return merged;
+}
+
+// Rename files whose path is relative to a source root (e.g. JaCoCo's package/sourcefile paths)
+// to the repository path ending with it, when exactly one of the given paths does
+function alignFilePaths(model, repositoryPaths) {
+  const files = new Map();
+  model.files.forEach((file, filePath) => {
+    const matches = repositoryPaths.filter(candidate => candidate === filePath || candidate.endsWith(`/${filePath}`));
+    const resolvedPath = matches.length === 1 && !model.files.has(matches[0]) ? matches[0] : filePath;
+    files.set(resolvedPath, { ...file, path: resolvedPath });
+  });
+  model.files = files;
+  return model;
+}
+
+const isAbsolutePath = (filePath) => filePath.startsWith('/') || /^[A-Za-z]:\//.test(filePath);
+
+// Repository-relative form of a slash-separated report path, or null when it lies outside of
+// the repository: absolute paths must be below one of the roots the repository is checked out at
+function toRepositoryPath(filePath, repositoryRoots) {
+  const normalized = path.posix.normalize(filePath);
+  if (!isAbsolutePath(normalized)) {
+    return normalized.startsWith('../') ? null : normalized;
+  }
+  const root = repositoryRoots.find(candidate => normalized.startsWith(`${candidate}/`));
+  return root ? normalized.substring(root.length + 1) : null;
+}
+
+// Rename files to repository-relative paths. Relative paths are resolved against the source
+// roots declared by the report (Cobertura <sources>), absolute ones against the repository roots
+// (e.g. the workspace, or the directory the repository was mounted at in a CI container).
+// With several source roots, the first resolved path that exists(path) is preferred.
+// Paths that can't be resolved are kept unchanged.
+function resolveFilePaths(model, { repositoryRoots = [], exists = () => false } = {}) {
+  const roots = repositoryRoots
+    .filter(Boolean)
+    .map(root => root.replace(/\\/g, '/').replace(/\/+$/, ''))
+    .filter(Boolean);
+  const sources = model.sources.map(source => source.replace(/\\/g, '/'));
+
+  const files = new Map();
+  model.files.forEach((file, filePath) => {
+    const normalized = filePath.replace(/\\/g, '/');
+    const candidates = (isAbsolutePath(normalized) || sources.length === 0
+      ? [normalized]
+      : sources.map(source => path.posix.join(source, normalized)))
+      .map(candidate => toRepositoryPath(candidate, roots))
+      .filter(candidate => candidate !== null);
+
+    const resolved = candidates.find(candidate => exists(candidate)) || candidates[0];
+    const resolvedPath = resolved && !files.has(resolved) ? resolved : filePath;
+    files.set(resolvedPath, { ...file, path: resolvedPath });
+  });
+  model.files = files;
+  return model;
+}
+
+// File of a model for a repository path, also matching report paths the repository path ends with
+function findCoverageFile(model, filename) {
+  if (model.files.has(filename)) return model.files.get(filename);
+  return [...model.files.values()].find(file => filename.endsWith(`/${file.path}`)) || null;
+}
+
+// Line numbers of a file sorted ascending
+function getSortedLineNumbers(file) {
+  return [...file.lines.keys()].sort((a, b) => a - b);
+}
+
+// Group consecutive line numbers into ranges such as "7-14, 29, 32"
+function formatLineRanges(numbers) {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const ranges = sorted.reduce((acc, curr, i) => {
+    if (i === 0) {
+      acc.push([curr]);
+    } else if (curr === sorted[i - 1] + 1) {
+      acc[acc.length - 1].push(curr);
+    } else {
+      acc.push([curr]);
+    }
+    return acc;
+  }, []);
+
+  return ranges.map(range =>
+    range.length === 1 ? `${range[0]}` : `${range[0]}-${range[range.length - 1]}`
+  ).join(', ');
+}
+
+function getFileMetrics(file) {
+  const functions = file.methods.length;
+  const coveredFunctions = file.methods.filter(method => method.hits > 0).length;
+
+  // Reports with per-file totals only (e.g. Istanbul coverage-summary.json) have no lines
+  if (file.lines.size === 0 && file.summary) {
+    const { lines, branches, functions: summaryFunctions } = file.summary;
+    return {
+      lines: lines.total,
+      covered: lines.covered,
+      missed: lines.total - lines.covered,
+      partials: 0,
+      branches: branches.total,
+      coveredBranches: branches.covered,
+      functions: summaryFunctions.total,
+      coveredFunctions: summaryFunctions.covered,
+      lineRate: lines.total > 0 ? lines.covered / lines.total : 0,
+      branchRate: branches.total > 0 ? branches.covered / branches.total : null,
+      missingLines: []
+    };
+  }
+
+  let covered = 0;
+  let partials = 0;
+  let branches = 0;
+  let coveredBranches = 0;
+  const missingLines = [];
+
+  getSortedLineNumbers(file).forEach(number => {
+    const line = file.lines.get(number);
+    if (line.hits > 0) covered++;
+    else missingLines.push(number);
+
+    if (line.branches) {
+      branches += line.branches.total;
+      coveredBranches += line.branches.covered;
+      if (line.branches.covered > 0 && line.branches.covered < line.branches.total) partials++;
+    }
+  });
+
+  return {
+    lines: file.lines.size,
+    covered,
+    missed: missingLines.length,
+    partials,
+    branches,
+    coveredBranches,
+    functions,
+    coveredFunctions,
+    lineRate: file.lines.size > 0 ? covered / file.lines.size : 0,
+    branchRate: branches > 0 ? coveredBranches / branches : null,
+    missingLines
+  };
+}
+
+function getCoverageMetrics(model) {
+  let totalLines = 0;
+  let coveredLines = 0;
+  let misses = 0;
+  let partials = 0;
+  let branches = 0;
+  let coveredBranches = 0;
+
+  model.files.forEach(file => {
+    const metrics = getFileMetrics(file);
+    totalLines += metrics.lines;
+    coveredLines += metrics.covered;
+    misses += metrics.missed;
+    partials += metrics.partials;
+    branches += metrics.branches;
+    coveredBranches += metrics.coveredBranches;
+  });
+
+  // Fall back to report-level totals for formats without per-line branch data
+  if (branches === 0 && model.branchTotals) {
+    branches = model.branchTotals.total;
+    coveredBranches = model.branchTotals.covered;
+  }
+
+  return {
+    lineRate: coveredLines / totalLines,
+    branchRate: branches > 0 ? coveredBranches / branches : 0,
+    lines: totalLines,
+    hits: coveredLines,
+    misses: misses,
+    partials: partials,
+    branches: branches,
+    instructions: model.counters.instruction?.total || 0,
+    timestamp: model.timestamp
+  };
+}
+
+// Compare the line hits of base and head. For the files changed in a PR (with their patch and,
+// for renames, previousFilename) base line numbers are mapped to head line numbers through the
+// diff, other files are compared line by line. Per file, gained and lost are head lines whose
+// coverage changed, added are head lines without a base line and deleted are base lines
+// without a head line.
+function getLineChanges(baseModel, headModel, prChangedFiles = []) {
+  const pairs = [];
+  const pairedBase = new Set();
+  const pairedHead = new Set();
+
+  prChangedFiles.forEach(({ filename, previousFilename, patch }) => {
+    const headFile = findCoverageFile(headModel, filename);
+    const baseFile = findCoverageFile(baseModel, previousFilename || filename);
+    if (!headFile && !baseFile) return;
+    pairs.push({ baseFile, headFile, mapLine: createLineMapper(patch) });
+    if (baseFile) pairedBase.add(baseFile.path);
+    if (headFile) pairedHead.add(headFile.path);
+  });
+
+  const keepLine = (number) => number;
+  headModel.files.forEach((headFile, filePath) => {
+    if (pairedHead.has(filePath)) return;
+    const baseFile = pairedBase.has(filePath) ? null : baseModel.files.get(filePath) || null;
+    pairs.push({ baseFile, headFile, mapLine: keepLine });
+    if (baseFile) pairedBase.add(filePath);
+  });
+  baseModel.files.forEach((baseFile, filePath) => {
+    if (!pairedBase.has(filePath)) pairs.push({ baseFile, headFile: null, mapLine: keepLine });
+  });
+
+  const files = pairs.map(({ baseFile, headFile, mapLine }) => {
+    const changes = { path: (headFile || baseFile).path, gained: [], lost: [], added: [], deleted: [] };
+    const mappedLines = new Set();
+
+    baseFile?.lines.forEach(({ hits }, number) => {
+      const headNumber = mapLine(number);
+      const headLine = headNumber === null ? null : headFile?.lines.get(headNumber);
+      if (!headLine) {
+        changes.deleted.push(number);
+        return;
+      }
+      mappedLines.add(headNumber);
+      if (hits === 0 && headLine.hits > 0) changes.gained.push(headNumber);
+      if (hits > 0 && headLine.hits === 0) changes.lost.push(headNumber);
+    });
+    headFile?.lines.forEach((line, number) => {
+      if (!mappedLines.has(number)) changes.added.push(number);
+    });
+    return changes;
+  });
+
+  const count = (key) => files.reduce((total, file) => total + file[key].length, 0);
+  return {
+    gained: count('gained'),
+    lost: count('lost'),
+    added: count('added'),
+    deleted: count('deleted'),
+    files: files.filter(file => file.gained.length + file.lost.length + file.added.length + file.deleted.length > 0)
+  };
+}
+
+// Files listed in the report, including those without executable lines
+function countFiles(model) {
+  return model.files.size;
+}
+
+module.exports = {
+  createCoverageModel,
+  getOrCreateFile,
+  addLine,
+  addMethod,
+  inferMethodEndLines,
+  addLineContexts,
+  mergeCoverageModels,
+  alignFilePaths,
+  resolveFilePaths,
+  findCoverageFile,
+  getSortedLineNumbers,
+  formatLineRanges,
+  getFileMetrics,
+  getCoverageMetrics,
+  getLineChanges,
+  countFiles
+};
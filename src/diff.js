@@ -0,0 +1,69 @@
+/**
+ * Unified diff helpers for the patches returned by pulls.listFiles
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+// Line numbers added or modified in the new version of a file
+function getAddedLines(patch) {
+  const added = [];
+  if (!patch) return added;
+
+  let newLine = null;
+  patch.split('\n').forEach(line => {
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      newLine = parseInt(header[2]);
+      return;
+    }
+    if (newLine === null || line.startsWith('\\')) return;
+
+    if (line.startsWith('+')) {
+      added.push(newLine++);
+    } else if (!line.startsWith('-')) {
+      newLine++;
+    }
+  });
+  return added;
+}
+
+// Function mapping the line numbers of the old version of a file to the new version. Removed
+// lines map to null, lines outside of the hunks are shifted by the lines added and removed
+// before them. Without a patch (e.g. diffs too large for the API) line numbers are kept.
+function createLineMapper(patch) {
+  const contextLines = new Map();
+  const removedLines = new Set();
+  // Old line number each hunk ends at, with the shift of the lines following it
+  const hunks = [];
+
+  let oldLine = null;
+  let newLine = null;
+  (patch || '').split('\n').forEach(line => {
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      oldLine = parseInt(header[1]);
+      newLine = parseInt(header[2]);
+      hunks.push({ end: oldLine, shift: newLine - oldLine });
+      return;
+    }
+    if (oldLine === null || !line || line.startsWith('\\')) return;
+
+    if (line.startsWith('+')) {
+      newLine++;
+    } else if (line.startsWith('-')) {
+      removedLines.add(oldLine++);
+    } else {
+      contextLines.set(oldLine++, newLine++);
+    }
+    hunks[hunks.length - 1] = { end: oldLine, shift: newLine - oldLine };
+  });
+
+  return (number) => {
+    if (removedLines.has(number)) return null;
+    if (contextLines.has(number)) return contextLines.get(number);
+    const previous = hunks.filter(hunk => hunk.end <= number).pop();
+    return number + (previous ? previous.shift : 0);
+  };
+}
+
+module.exports = { getAddedLines, createLineMapper };
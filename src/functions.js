@@ -0,0 +1,75 @@
+/**
+ * Function-level coverage changes
+ * Functions of the files changed in a PR are matched between base and head by name, to tell
+ * which new functions are untested and which existing ones lost coverage
+ */
+const { findCoverageFile } = require('./coverage');
+
+// Share of the executable lines of a function that ran. Functions without executable lines in
+// the report (e.g. a declaration line only) count as covered when they were called.
+function getFunctionCoverage(file, method) {
+  let lines = 0;
+  let covered = 0;
+  file.lines.forEach(({ hits }, number) => {
+    if (number < method.startLine || number > method.endLine) return;
+    lines++;
+    if (hits > 0) covered++;
+  });
+  if (lines === 0) return method.hits > 0 ? 1 : 0;
+  return covered / lines;
+}
+
+function getFunctions(file) {
+  if (!file) return [];
+  return file.methods.map(method => ({
+    name: method.name,
+    startLine: method.startLine,
+    endLine: method.endLine ?? method.startLine,
+    coverage: getFunctionCoverage(file, method)
+  }));
+}
+
+// Pair head functions with the base functions of the same name, in order of appearance, so
+// overloads and repeated names are matched one to one
+function matchFunctions(baseFunctions, headFunctions) {
+  const baseByName = new Map();
+  baseFunctions.forEach(fn => {
+    if (!baseByName.has(fn.name)) baseByName.set(fn.name, []);
+    baseByName.get(fn.name).push(fn);
+  });
+  return headFunctions.map(fn => ({ base: baseByName.get(fn.name)?.shift() || null, head: fn }));
+}
+
+// For every changed file, the functions added without coverage, the functions whose coverage
+// dropped and the functions that are no longer covered at all
+function getFunctionChanges(baseModel, headModel, prChangedFiles) {
+  return prChangedFiles.map(({ filename }) => {
+    const headFile = findCoverageFile(headModel, filename);
+    if (!headFile || headFile.methods.length === 0) return null;
+
+    const added = [];
+    const dropped = [];
+    const uncovered = [];
+    matchFunctions(getFunctions(findCoverageFile(baseModel, filename)), getFunctions(headFile)).forEach(({ base, head }) => {
+      const change = {
+        name: head.name,
+        startLine: head.startLine,
+        endLine: head.endLine,
+        baseCoverage: base ? base.coverage : null,
+        headCoverage: head.coverage
+      };
+      if (!base) {
+        if (head.coverage === 0) added.push(change);
+      } else if (head.coverage === 0 && base.coverage > 0) {
+        uncovered.push(change);
+      } else if (head.coverage < base.coverage) {
+        dropped.push(change);
+      }
+    });
+
+    if (added.length + dropped.length + uncovered.length === 0) return null;
+    return { filename, added, dropped, uncovered };
+  }).filter(Boolean);
+}
+
+module.exports = { getFunctionCoverage, getFunctionChanges };
@@ -5,21 +5,88 @@
  */
 const core = require('@actions/core');
 const github = require('@actions/github');
-const { Storage } = require('@google-cloud/storage');
-const xml2js = require('xml2js');
 const path = require('path');
 const fs = require('fs');
 const ini = require('ini');
 const minimatch = require('minimatch');
+const { createStorage } = require('./storage');
+const { decompressReport } = require('./compression');
+const {
+  mergeCoverageModels,
+  alignFilePaths,
+  resolveFilePaths,
+  formatLineRanges,
+  getFileMetrics,
+  getCoverageMetrics,
+  getLineChanges,
+  countFiles
+} = require('./coverage');
+const { parseCoverageReport, COVERAGE_FORMATS, AUTO_FORMAT } = require('./parsers');
+const { getChangedLineTests } = require('./contexts');
+const { getFunctionChanges } = require('./functions');
+const { getPatchCoverage } = require('./patch');
+const { getCoverageRollup, limitRollup } = require('./rollup');
+const {
+  DEFAULT_PATH_TEMPLATE,
+  createSnapshotLayout,
+  getReportPaths,
+  findSnapshotForCommits,
+  findLatestSnapshot,
+  waitForSnapshot,
+  uploadSnapshot
+} = require('./snapshots');
+
+// Tests listed per changed file in the "Tests exercising the changed lines" section
+const MAX_LISTED_TESTS = 10;
+// Functions listed per changed file in the "Function coverage changes" section
+const MAX_LISTED_FUNCTIONS = 10;
+// How files whose coverage changed without being modified in the PR are shown
+const INDIRECT_CHANGES_MODES = ['show', 'collapse', 'hide'];
+// Directories listed in the "Coverage by directory" section
+const MAX_ROLLUP_DIRECTORIES = 50;
 
 async function run() {
   try {
     // Get inputs
-    const gcpCredentials = core.getInput('gcp_credentials', { required: true });
+    const mode = (core.getInput('mode') || 'compare').toLowerCase();
+    const storageBackend = (core.getInput('storage_backend') || 'gcs').toLowerCase();
+
+    if (mode === 'upload') {
+      const storage = createStorage(storageBackend, getStorageOptions(storageBackend));
+      await runUpload(storage);
+      return;
+    }
+    if (mode !== 'compare') {
+      throw new Error(`Unsupported mode "${mode}". Supported modes: compare, upload`);
+    }
+
     const minCoverage = parseFloat(core.getInput('min_coverage')) || 80;
+    // Branch coverage is only checked when a minimum is given
+    const minBranchCoverage = parseFloat(core.getInput('min_branch_coverage'));
+    const checkBranchCoverage = !Number.isNaN(minBranchCoverage);
+    // Same for the coverage of the lines changed by the PR
+    const minPatchCoverage = parseFloat(core.getInput('min_patch_coverage'));
+    const checkPatchCoverage = !Number.isNaN(minPatchCoverage);
     const githubToken = core.getInput('github_token', { required: true });
-    const bucketName = core.getInput('gcp_bucket', { required: true });
+    const baseSelection = (core.getInput('base_selection') || 'merge-base').toLowerCase();
+    const headWaitTimeout = parseFloat(core.getInput('head_wait_timeout')) || 0;
+    const headPollInterval = parseFloat(core.getInput('head_poll_interval')) || 10;
     const showMissingLines = core.getInput('show_missing_lines').toLowerCase() === 'true';
+    const coverageFormat = (core.getInput('coverage_format') || AUTO_FORMAT).toLowerCase();
+    if (coverageFormat !== AUTO_FORMAT && !COVERAGE_FORMATS.includes(coverageFormat)) {
+      throw new Error(`Unsupported coverage format "${coverageFormat}". Supported formats: ${AUTO_FORMAT}, ${COVERAGE_FORMATS.join(', ')}`);
+    }
+    const indirectChanges = (core.getInput('indirect_changes') || 'show').toLowerCase();
+    if (!INDIRECT_CHANGES_MODES.includes(indirectChanges)) {
+      throw new Error(`Unsupported indirect_changes value "${indirectChanges}". Supported values: ${INDIRECT_CHANGES_MODES.join(', ')}`);
+    }
+    // Directory levels of the coverage rollup, 0 leaves it out of the comment
+    const rollupDepth = parseInt(core.getInput('rollup_depth') || '2');
+    if (Number.isNaN(rollupDepth) || rollupDepth < 0) {
+      throw new Error(`Invalid rollup_depth "${core.getInput('rollup_depth')}", expected a number of directory levels`);
+    }
+    // Absolute path the repository had when the reports were generated, e.g. in a CI container
+    const repoRoot = core.getInput('repo_root') || '';
 
     // Load .coveragerc if it exists
     const coverageRcPath = path.resolve(process.cwd(), '.coveragerc');
@@ -65,13 +132,8 @@ async function run() {
     const octokit = github.getOctokit(githubToken);
     const context = github.context;
 
-    // Parse GCP credentials
-    let credentials;
-    try {
-      credentials = JSON.parse(gcpCredentials);
-    } catch (error) {
-      throw new Error(`Invalid GCP credentials JSON: ${error.message}`);
-    }
+    // Initialize the storage backend holding the coverage snapshots
+    const storage = createStorage(storageBackend, getStorageOptions(storageBackend));
 
     // Get repository name from GitHub context
     const [owner, repo] = process.env.GITHUB_REPOSITORY.split('/');
@@ -84,29 +146,81 @@ async function run() {
       throw new Error('This action can only be run on pull request events');
     }
 
-    // Initialize GCP Storage
-    const storage = new Storage({ credentials });
-    const bucket = storage.bucket(bucketName);
+    // Layout of the snapshot paths in the storage
+    const layout = getSnapshotLayout(owner, repo);
+
+    // Notes and warnings about how the snapshots were selected, shown in the PR comment
+    const selectionNotes = [];
+    const selectionWarnings = [];
+
+    // Prefer the base snapshot recorded for the merge base of the PR, so the diff
+    // doesn't include changes on the base branch that the PR doesn't contain
+    let baseSnapshot = null;
+    if (baseSelection === 'merge-base') {
+      const selection = await findMergeBaseSnapshot(octokit, context, storage, layout, baseBranch);
+      if (selection?.snapshot) {
+        baseSnapshot = selection.snapshot;
+        core.info(`Found base coverage for commit ${baseSnapshot.sha} at timestamp: ${baseSnapshot.timestamp}`);
+        if (selection.snapshot.sha !== selection.mergeBase) {
+          selectionNotes.push(`No coverage report was recorded for the merge base ${selection.mergeBase.substring(0, 7)}; using the closest ancestor with a report (${selection.snapshot.sha.substring(0, 7)}).`);
+        }
+      } else if (selection) {
+        selectionNotes.push(`No coverage report was recorded for the merge base ${selection.mergeBase.substring(0, 7)} or its recent ancestors; using the latest report on ${baseBranch}.`);
+      }
+    } else if (baseSelection !== 'latest') {
+      throw new Error(`Unsupported base_selection "${baseSelection}". Supported values: merge-base, latest`);
+    }
 
-    // Construct base paths
-    const repoPrefix = `${repo.toLowerCase()}`;
-    const basePath = `${repoPrefix}/${baseBranch}`;
-    const headPath = `${repoPrefix}/${headBranch}`;
+    // Otherwise fall back to the latest timestamp folders
+    if (!baseSnapshot) {
+      baseSnapshot = await findLatestSnapshot(storage, layout, baseBranch);
+      if (baseSnapshot) {
+        core.info(`Found latest base coverage at timestamp: ${baseSnapshot.timestamp}`);
+      }
+    }
 
-    // Get the latest timestamp folders for both branches
-    const baseTimestamp = await getLatestTimestamp(bucket, basePath);
-    const headTimestamp = await getLatestTimestamp(bucket, headPath);
+    // The head snapshot must come from the current head commit of the PR; wait for
+    // its upload to finish before falling back to an older snapshot
+    let headSnapshot = null;
+    const headSha = context.payload?.pull_request?.head?.sha;
+    if (headSha) {
+      headSnapshot = await waitForSnapshot(storage, layout, headBranch, headSha, {
+        timeout: headWaitTimeout,
+        interval: headPollInterval,
+        onRetry: (attempt, remaining) => core.info(`Coverage report for head commit ${headSha} not found yet (attempt ${attempt}), retrying for up to ${remaining}s`)
+      });
+      if (headSnapshot) {
+        core.info(`Found head coverage for commit ${headSha} at timestamp: ${headSnapshot.timestamp}`);
+      }
+    }
+
+    if (!headSnapshot) {
+      headSnapshot = await findLatestSnapshot(storage, layout, headBranch);
+      if (headSnapshot) {
+        const headTimestamp = headSnapshot.timestamp;
+        core.info(`Found latest head coverage at timestamp: ${headTimestamp}`);
+
+        if (headSha) {
+          const recordedSha = headSnapshot.sha;
+          const waited = headWaitTimeout > 0 ? ` after waiting ${headWaitTimeout}s` : '';
+          selectionWarnings.push(recordedSha
+            ? `No coverage report was found for the head commit ${headSha.substring(0, 7)}${waited}. Showing coverage from an earlier push (commit ${recordedSha.substring(0, 7)}, uploaded ${headTimestamp}), so these numbers may be stale.`
+            : `No coverage report was found for the head commit ${headSha.substring(0, 7)}${waited}. Showing the latest report on ${headBranch} (uploaded ${headTimestamp}), which has no recorded commit and may be stale.`);
+        }
+      }
+    }
+    selectionWarnings.forEach(warning => core.warning(warning));
 
-    if (!baseTimestamp || !headTimestamp) {
+    if (!baseSnapshot || !headSnapshot) {
       // Create error message
       const message = [
         '<!-- Coverage Report Bot -->',
         '⚠️ Coverage Report Status:',
         '',
         '```',
-        !baseTimestamp && !headTimestamp
+        !baseSnapshot && !headSnapshot
           ? `Both branches (${baseBranch} and ${headBranch}) have no available coverage reports. Coverage statistics cannot be calculated.`
-          : !baseTimestamp
+          : !baseSnapshot
             ? `Branch ${baseBranch} has no available coverage report. Coverage statistics cannot be calculated.`
             : `Branch ${headBranch} has no available coverage report. Coverage statistics cannot be calculated.`,
         '```'
@@ -145,24 +259,23 @@ async function run() {
       return;
     }
 
-    core.info(`Found latest base coverage at timestamp: ${baseTimestamp}`);
-    core.info(`Found latest head coverage at timestamp: ${headTimestamp}`);
+    // Construct full paths to coverage files. A selected commit may have several snapshots
+    // (one per matrix job) and a snapshot may hold several reports; they are all merged.
+    const baseCoveragePaths = getSnapshotReportPaths(layout, baseSnapshot);
+    const headCoveragePaths = getSnapshotReportPaths(layout, headSnapshot);
 
-    // Construct full paths to coverage files
-    const baseCoveragePath = `${basePath}/${baseTimestamp}/coverage.xml`;
-    const headCoveragePath = `${headPath}/${headTimestamp}/coverage.xml`;
+    baseCoveragePaths.forEach(reportPath => core.info(`Downloading base coverage from: ${reportPath}`));
+    headCoveragePaths.forEach(reportPath => core.info(`Downloading head coverage from: ${reportPath}`));
 
-    core.info(`Downloading base coverage from: ${baseCoveragePath}`);
-    core.info(`Downloading head coverage from: ${headCoveragePath}`);
-
-    // Download coverage files
-    const baseCoverageContent = await downloadFile(bucket, baseCoveragePath);
-    const headCoverageContent = await downloadFile(bucket, headCoveragePath);
-
-    // Parse XML files
-    const parser = new xml2js.Parser();
-    const baseCoverage = await parser.parseStringPromise(baseCoverageContent);
-    const headCoverage = await parser.parseStringPromise(headCoverageContent);
+    // Download, parse and merge coverage files
+    const reportOptions = {
+      modulePath: getGoModulePath(context),
+      repositoryRoots: [repoRoot, process.env.GITHUB_WORKSPACE, process.cwd()]
+    };
+    const [baseCoverage, headCoverage] = await Promise.all([
+      loadCoverageReports(storage, baseCoveragePaths, coverageFormat, reportOptions),
+      loadCoverageReports(storage, headCoveragePaths, coverageFormat, reportOptions)
+    ]);
 
     // Print file statistics for both base and head coverage
     core.info('\nBase branch file statistics:');
@@ -180,20 +293,38 @@ async function run() {
     const basePercent = (baseMetrics.lineRate * 100).toFixed(2);
     const headPercent = (headMetrics.lineRate * 100).toFixed(2);
 
-    // Calculate new lines covered in head
-    const newLinesCovered = calculateNewLinesCovered(baseCoverage, headCoverage);
-
     // Get PR changed files (using existing octokit)
     const prChangedFiles = await getPRChangedFiles(octokit, context);
-    console.log('PR Changed Files:', prChangedFiles);
+    // Names only: the entries also carry the patch of every file
+    core.info(`PR changed files: ${prChangedFiles.map(({ filename, status }) => `${filename} (${status})`).join(', ')}`);
+
+    // JaCoCo paths are relative to the source root, match them with the paths changed in the PR
+    [baseCoverage, headCoverage]
+      .filter(coverage => coverage.format === 'jacoco')
+      .forEach(coverage => alignFilePaths(coverage, prChangedFiles.map(({ filename }) => filename)));
+
+    // Lines that gained or lost coverage, with base line numbers mapped through the PR diff
+    const lineChanges = getLineChanges(baseCoverage, headCoverage, prChangedFiles);
 
     // Get files with coverage changes
     const { changedFiles, uncoveredFiles } = getFilesWithCoverageChanges(baseCoverage, headCoverage, prChangedFiles, coverageRcConfig);
     console.log('Changed Files:', changedFiles);
 
+    // Tests that ran the changed lines, for reports with per-line test contexts
+    const changedLineTests = getChangedLineTests(headCoverage, prChangedFiles);
+
+    // Functions of the changed files that are untested or lost coverage
+    const functionChanges = getFunctionChanges(baseCoverage, headCoverage, prChangedFiles);
+
+    // Coverage of the lines added or modified by the PR
+    const patchCoverage = getPatchCoverage(headCoverage, prChangedFiles);
+    const patchPercent = patchCoverage.rate === null ? null : (patchCoverage.rate * 100).toFixed(2);
+    const patchBelowMinimum = checkPatchCoverage && patchPercent !== null && parseFloat(patchPercent) < minPatchCoverage;
+
     // Create PR comment message with diff-style format
     const message = [
       '<!-- Coverage Report Bot -->',
+      ...selectionWarnings.map(warning => `> ⚠️ ${warning}\n`),
       'The overall coverage statistics of the PR are:',
       '',
       '```diff',
@@ -201,10 +332,19 @@ async function run() {
       `## ${baseBranch}    #${headBranch}    +/-  ##`,
       '===========================================',
       `${coverageDiff < 0 ? '-' : (headPercent < minCoverage ? '-' : '+')} Coverage    ${basePercent.padStart(6)}%   ${headPercent.padStart(6)}%   ${coverageDiffPercent.padStart(6)}%`,
+      ...(patchPercent !== null
+        ? [`${patchBelowMinimum ? '-' : ' '} Patch       ${''.padStart(7)}   ${patchPercent.padStart(6)}%`]
+        : []),
       '===========================================',
       `  Files        ${String(countFiles(baseCoverage)).padStart(6)}    ${String(countFiles(headCoverage)).padStart(6)}    ${String(countFiles(headCoverage) - countFiles(baseCoverage)).padStart(6)}`,
+      ...(baseCoveragePaths.length > 1 || headCoveragePaths.length > 1
+        ? [`  Reports      ${String(baseCoveragePaths.length).padStart(6)}    ${String(headCoveragePaths.length).padStart(6)}    ${String(headCoveragePaths.length - baseCoveragePaths.length).padStart(6)}`]
+        : []),
       `  Lines        ${String(baseMetrics.lines || 0).padStart(6)}    ${String(headMetrics.lines || 0).padStart(6)}    ${String((headMetrics.lines || 0) - (baseMetrics.lines || 0)).padStart(6)}`,
       `  Branches     ${String(baseMetrics.branches || 0).padStart(6)}    ${String(headMetrics.branches || 0).padStart(6)}    ${String((headMetrics.branches || 0) - (baseMetrics.branches || 0)).padStart(6)}`,
+      ...(baseMetrics.instructions || headMetrics.instructions
+        ? [`  Instructions ${String(baseMetrics.instructions).padStart(6)}    ${String(headMetrics.instructions).padStart(6)}    ${String(headMetrics.instructions - baseMetrics.instructions).padStart(6)}`]
+        : []),
       '===========================================',
       `${headMetrics.hits > baseMetrics.hits ? '+' : ' '} Hits         ${String(baseMetrics.hits || 0).padStart(6)}    ${String(headMetrics.hits || 0).padStart(6)}    ${String((headMetrics.hits || 0) - (baseMetrics.hits || 0)).padStart(6)}`,
       `${headMetrics.misses > baseMetrics.misses ? '-' : (headMetrics.misses < baseMetrics.misses ? '+' : ' ')} Misses       ${String(baseMetrics.misses || 0).padStart(6)}    ${String(headMetrics.misses || 0).padStart(6)}    ${String((headMetrics.misses || 0) - (baseMetrics.misses || 0)).padStart(6)}`,
@@ -213,42 +353,119 @@ async function run() {
       ''
     ];
 
-    if (changedFiles.length > 0) {
+    if (lineChanges.gained + lineChanges.lost + lineChanges.added + lineChanges.deleted > 0) {
+      message.push(`Executable lines: ${lineChanges.gained} newly covered, ${lineChanges.lost} newly missed, ${lineChanges.added} added, ${lineChanges.deleted} deleted`);
+      message.push('');
+    }
+
+    // Files modified by the PR come first, files whose coverage only moved as a side effect
+    // (e.g. removed tests) are shown, collapsed or hidden below them
+    const tableOptions = {
+      baseBranch,
+      headBranch,
+      minCoverage,
+      minBranchCoverage: checkBranchCoverage ? minBranchCoverage : null,
+      showMissingLines
+    };
+    const directFiles = changedFiles.filter(({ isDirect }) => isDirect);
+    const indirectFiles = changedFiles.filter(({ isDirect }) => !isDirect);
+
+    if (directFiles.length > 0) {
       message.push('The main files with changes are:');
       message.push('');
-      message.push('```diff');
-      message.push('@@ File Coverage Diff @@');
+      message.push(...formatFileTable(directFiles, tableOptions));
+    }
 
-      const maxWidth = Math.max(
-        `## File    ${baseBranch}    ${headBranch}    +/-  ##`.length,
-        ...changedFiles.map(({ filename }) => filename.length + 40)
-      );
-      const separator = '='.repeat(maxWidth);
+    if (indirectFiles.length > 0) {
+      const title = `Indirect coverage changes (${indirectFiles.length} ${indirectFiles.length === 1 ? 'file' : 'files'} not modified in this PR)`;
+      if (indirectChanges === 'hide') {
+        core.info(`${title}: ${indirectFiles.map(({ filename }) => filename).join(', ')}`);
+      } else if (indirectChanges === 'collapse') {
+        message.push('');
+        message.push('<details>');
+        message.push(`<summary>${title}</summary>`);
+        message.push('');
+        message.push(...formatFileTable(indirectFiles, tableOptions));
+        message.push('');
+        message.push('</details>');
+      } else {
+        message.push('');
+        message.push(`${title}:`);
+        message.push('');
+        message.push(...formatFileTable(indirectFiles, tableOptions));
+      }
+    }
 
-      message.push(separator);
-      message.push(`## File    ${baseBranch}    ${headBranch}    +/-  ##`);
-      message.push(separator);
+    // Coverage per directory, to see which part of the repository drives the change
+    const rollup = rollupDepth > 0 ? getCoverageRollup(baseCoverage, headCoverage, rollupDepth) : [];
+    if (rollup.length > 1) {
+      message.push('');
+      message.push('Coverage by directory:');
+      message.push('');
+      message.push(...formatRollupTable(rollup, { baseBranch, headBranch }));
+    }
 
-      changedFiles.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+    // Lines covered on base and missed on head, the most alarming regressions
+    const filesWithLostLines = lineChanges.files.filter(({ lost }) => lost.length > 0);
+    if (filesWithLostLines.length > 0) {
+      message.push('');
+      message.push('Lines that lost coverage:');
+      message.push('');
+      filesWithLostLines.forEach(({ path: filePath, lost }) => {
+        message.push(`- \`${filePath}\`: ${formatLineRanges(lost)}`);
+      });
+    }
 
-      changedFiles.forEach(({ filename, baseCov, headCov, change, isNew, missingLines }) => {
-        const changeStr = change.toFixed(2);
-        const prefix = isNew
-          ? '+ '
-          : (change < 0 || headCov < minCoverage)
-            ? '- '
-            : '+ ';
+    if (patchCoverage.files.length > 0) {
+      message.push('');
+      message.push('Patch coverage of the changed lines:');
+      message.push('');
+      patchCoverage.files.forEach(({ filename, lines, covered, rate, missingLines }) => {
+        const missing = missingLines.length > 0 ? `, missing ${formatLinesLabel(formatLineRanges(missingLines))}` : '';
+        message.push(`- \`${filename}\`: ${formatRate(rate)} (${covered} of ${lines} ${lines === 1 ? 'line' : 'lines'})${missing}`);
+      });
+    }
 
-        const line = `${prefix}${filename.padEnd(20)} ${baseCov.toFixed(2).padStart(6)}%   ${headCov.toFixed(2).padStart(6)}%   ${change >= 0 ? '+' : ''}${changeStr.padStart(6)}%`;
-        message.push(line);
+    if (functionChanges.length > 0) {
+      message.push('');
+      message.push('Function coverage changes:');
+      message.push('');
+      functionChanges.forEach(({ filename, added, dropped, uncovered }) => {
+        const entries = [
+          ...uncovered.map(fn => `❌ \`${fn.name}\` (${formatFunctionLines(fn)}) is no longer covered, was ${formatRate(fn.baseCoverage)}`),
+          ...dropped.map(fn => `📉 \`${fn.name}\` (${formatFunctionLines(fn)}) coverage dropped from ${formatRate(fn.baseCoverage)} to ${formatRate(fn.headCoverage)}`),
+          ...added.map(fn => `🆕 \`${fn.name}\` (${formatFunctionLines(fn)}) was added without coverage`)
+        ];
+        message.push(`- \`${filename}\``);
+        entries.slice(0, MAX_LISTED_FUNCTIONS).forEach(entry => message.push(`  - ${entry}`));
+        if (entries.length > MAX_LISTED_FUNCTIONS) {
+          message.push(`  - ... and ${entries.length - MAX_LISTED_FUNCTIONS} more`);
+        }
+      });
+    }
 
-        if (showMissingLines && missingLines) {
-          message.push(`   Missing lines: ${missingLines}`);
+    if (changedLineTests.length > 0) {
+      message.push('');
+      message.push('Tests exercising the changed lines:');
+      message.push('');
+      changedLineTests.forEach(({ filename, tests, incidentalLines, incidentalTests }) => {
+        message.push(`- \`${filename}\``);
+        tests.slice(0, MAX_LISTED_TESTS).forEach(({ name, lines }) => {
+          message.push(`  - \`${name}\` (${formatLinesLabel(lines)})`);
+        });
+        if (tests.length > MAX_LISTED_TESTS) {
+          message.push(`  - ... and ${tests.length - MAX_LISTED_TESTS} more`);
+        }
+        if (incidentalLines) {
+          message.push(`  - ⚠️ Changed ${formatLinesLabel(incidentalLines)} only covered incidentally by unrelated tests: ${incidentalTests.slice(0, MAX_LISTED_TESTS).map(test => `\`${test}\``).join(', ')}`);
         }
       });
+    }
 
-      message.push(separator);
-      message.push('```');
+    // Explain how the compared snapshots were selected
+    if (selectionNotes.length > 0) {
+      message.push('');
+      selectionNotes.forEach(note => message.push(`> ℹ️ ${note}`));
     }
 
     // Add uncovered files section if there are any
@@ -298,165 +515,308 @@ async function run() {
 
     // Log the results
     core.info(`Coverage difference: ${coverageDiffPercent}% (${coverageDiff >= 0 ? 'increased' : 'decreased'})`);
-    core.info(`New lines covered in head: ${newLinesCovered}`);
+    core.info(`Lines newly covered: ${lineChanges.gained}, newly missed: ${lineChanges.lost}, added: ${lineChanges.added}, deleted: ${lineChanges.deleted}`);
+    filesWithLostLines.forEach(({ path: filePath, lost }) => core.info(`Lines that lost coverage in ${filePath}: ${formatLineRanges(lost)}`));
+    if (patchPercent !== null) {
+      core.info(`Patch coverage: ${patchPercent}% (${patchCoverage.covered} of ${patchCoverage.lines} changed lines)`);
+    }
 
     // If coverage is below minimum, set action status to failed
     if (headPercent < minCoverage) {
       core.setFailed(`Coverage ${headPercent}% is below minimum required ${minCoverage}%`);
     }
 
+    // Branch coverage below its own minimum fails the check even when line coverage passes
+    if (checkBranchCoverage) {
+      const headBranchPercent = (headMetrics.branchRate * 100).toFixed(2);
+      if (headMetrics.branches === 0) {
+        core.warning('min_branch_coverage is set but the head coverage report has no branch data');
+      } else if (parseFloat(headBranchPercent) < minBranchCoverage) {
+        core.setFailed(`Branch coverage ${headBranchPercent}% is below minimum required ${minBranchCoverage}%`);
+      }
+    }
+
+    // Patch coverage is only checked when the PR changes executable lines
+    if (checkPatchCoverage) {
+      if (patchPercent === null) {
+        core.info('No executable lines changed in the PR, patch coverage is not checked');
+      } else if (patchBelowMinimum) {
+        core.setFailed(`Patch coverage ${patchPercent}% is below minimum required ${minPatchCoverage}%`);
+      }
+    }
+
   } catch (error) {
     core.setFailed(error.message);
   }
 }
 
-async function getLatestTimestamp(bucket, prefix) {
-  try {
-    // List all files under the prefix
-    const [files] = await bucket.getFiles({ prefix: prefix + '/' });
-
-    // Extract unique timestamp folders
-    const timestamps = files
-      .map(file => {
-        const match = file.name.match(/\/(\d{8}_\d{6})\//);
-        return match ? match[1] : null;
-      })
-      // Remove nulls
-      .filter(Boolean)
-      // Remove duplicates
-      .filter((value, index, self) => self.indexOf(value) === index);
-
-    if (timestamps.length === 0) {
-      return null;
+async function runUpload(storage) {
+  const coverageFile = core.getInput('coverage_file') || 'coverage.xml';
+  const context = github.context;
+  const [owner, repo] = process.env.GITHUB_REPOSITORY.split('/');
+  const layout = getSnapshotLayout(owner, repo);
+
+  // Pull requests are stored under their head branch, pushes under the pushed branch
+  const branch = process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME;
+  if (!branch) {
+    throw new Error('Could not determine the branch name to upload the coverage report for');
+  }
+
+  if (!fs.existsSync(coverageFile)) {
+    throw new Error(`Coverage file ${coverageFile} does not exist`);
+  }
+  const content = fs.readFileSync(coverageFile);
+
+  const { timestamp, reportPath, metadata } = await uploadSnapshot(storage, layout, {
+    branch,
+    sha: context.payload?.pull_request?.head?.sha || context.sha || process.env.GITHUB_SHA,
+    content,
+    metadata: {
+      run_id: context.runId || process.env.GITHUB_RUN_ID,
+      run_attempt: process.env.GITHUB_RUN_ATTEMPT,
+      workflow: context.workflow || process.env.GITHUB_WORKFLOW,
+      job: context.job || process.env.GITHUB_JOB,
+      event: context.eventName || process.env.GITHUB_EVENT_NAME
     }
+  });
 
-    // Sort timestamps in descending order (newest first)
-    timestamps.sort((a, b) => b.localeCompare(a));
+  core.info(`Uploaded ${coverageFile} to ${reportPath} (commit ${metadata.sha})`);
+  core.setOutput('snapshot_path', reportPath);
+  core.setOutput('timestamp', timestamp);
+}
 
-    return timestamps[0];
-  } catch (error) {
-    throw new Error(`Failed to list files in ${prefix}: ${error.message}`);
+function getSnapshotLayout(owner, repo) {
+  return createSnapshotLayout(core.getInput('path_template') || DEFAULT_PATH_TEMPLATE, {
+    owner,
+    repo,
+    flag: core.getInput('flag') || '',
+    filename: core.getInput('coverage_filename') || undefined
+  });
+}
+
+function getStorageOptions(backend) {
+  switch (backend) {
+    case 'gcs':
+      return {
+        credentials: core.getInput('gcp_credentials', { required: true }),
+        bucket: core.getInput('gcp_bucket', { required: true })
+      };
+    case 's3':
+      return {
+        bucket: core.getInput('s3_bucket', { required: true }),
+        region: core.getInput('s3_region') || process.env.AWS_REGION,
+        endpoint: core.getInput('s3_endpoint'),
+        forcePathStyle: (core.getInput('s3_force_path_style') || 'false').toLowerCase() === 'true',
+        // Without explicit keys the SDK credential chain reads the AWS_* variables, session token included
+        accessKeyId: core.getInput('s3_access_key_id'),
+        secretAccessKey: core.getInput('s3_secret_access_key')
+      };
+    case 'local':
+      return {
+        root: core.getInput('local_storage_path', { required: true })
+      };
+    default:
+      return {};
   }
 }
 
-async function downloadFile(bucket, filePath) {
-  if (!bucket || !filePath) {
-    throw new Error('Bucket and filePath are required');
+// Look up the merge base of the PR and its ancestors, then the newest base snapshot
+// recorded for the closest of them. Returns null when the merge base can't be determined.
+async function findMergeBaseSnapshot(octokit, context, storage, layout, baseBranch) {
+  const pullRequest = context.payload?.pull_request;
+  if (!pullRequest?.base?.sha || !pullRequest?.head?.sha) {
+    core.info('Pull request commit SHAs are not available, using the latest base coverage report');
+    return null;
   }
 
+  let commits;
   try {
-    const file = bucket.file(filePath);
-    const [content] = await file.download();
-    // If content is a Buffer or array, convert to string
-    return content.toString ? content.toString() : content;
+    const comparison = await octokit.rest.repos.compareCommitsWithBasehead({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      basehead: `${pullRequest.base.sha}...${pullRequest.head.sha}`
+    });
+    const mergeBase = comparison.data.merge_base_commit.sha;
+
+    // The merge base comes first, followed by its ancestors (newest first)
+    const history = await octokit.rest.repos.listCommits({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      sha: mergeBase,
+      per_page: 100
+    });
+    commits = history.data.map(commit => ({
+      sha: commit.sha,
+      date: commit.commit?.committer?.date
+    }));
+    if (commits.length === 0 || commits[0].sha !== mergeBase) {
+      commits.unshift({ sha: mergeBase });
+    }
   } catch (error) {
-    throw new Error(`Failed to download file ${filePath}: ${error.message}`);
+    core.warning(`Failed to determine the merge base of the pull request: ${error.message}`);
+    return null;
   }
+
+  core.info(`Merge base of the pull request: ${commits[0].sha}`);
+  const snapshot = await findSnapshotForCommits(storage, layout, baseBranch, commits);
+  return { mergeBase: commits[0].sha, snapshot };
 }
 
-function getCoverageMetrics(coverageData) {
-  const coverage = coverageData.coverage;
-  const classes = coverage.classes ? coverage.classes[0].class :
-    coverage.packages?.[0]?.package?.reduce((acc, pkg) =>
-      acc.concat(pkg.classes?.[0]?.class || []), []) || [];
-
-  let totalLines = 0;
-  let coveredLines = 0;
-  let branches = parseInt(coverage.$['branches-valid']) || 0;
-  let coveredBranches = parseInt(coverage.$['branches-covered']) || 0;
-  let misses = 0;
-  let partials = 0;
-
-  classes.forEach(cls => {
-    if (cls.lines?.[0]?.line) {
-      const lines = cls.lines[0].line;
-      totalLines += lines.length;
-      lines.forEach(line => {
-        const hits = parseInt(line.$.hits);
-        if (hits > 0) coveredLines++;
-        else misses++;
-
-        // Count branch coverage if available
-        if (line.$.branch === 'true') {
-          const conditions = line.$.condition_coverage?.match(/\d+/g) || [];
-          if (conditions.length === 2) {
-            if (parseInt(conditions[0]) > 0 && parseInt(conditions[0]) < parseInt(conditions[1])) {
-              partials++;
-            }
-          }
-        }
-      });
-    }
-  });
+// Report paths of a selected snapshot and of the other snapshots recorded for the same commit
+function getSnapshotReportPaths(layout, snapshot) {
+  const reportPaths = (snapshot.snapshots || [snapshot])
+    .flatMap(commitSnapshot => getReportPaths(layout, commitSnapshot));
 
-  return {
-    lineRate: coveredLines / totalLines,
-    branchRate: branches > 0 ? coveredBranches / branches : 0,
-    lines: totalLines,
-    hits: coveredLines,
-    misses: misses,
-    partials: partials,
-    branches: branches,
-    timestamp: coverage.$.timestamp
-  };
+  if (reportPaths.length === 0) {
+    throw new Error(`No coverage report matching ${layout.filename} found in ${snapshot.folder}`);
+  }
+  return reportPaths;
 }
 
-function calculateNewLinesCovered(baseCoverage, headCoverage) {
-  let newLinesCovered = 0;
-  const baseFiles = new Map();
-
-  // Handle Python coverage format where classes are directly under coverage
-  const getClasses = (coverage) => {
-    if (coverage.coverage.classes) {
-      return coverage.coverage.classes[0].class;
-    }
-    // Handle Java/JS format
-    if (coverage.coverage.packages) {
-      const classes = [];
-      coverage.coverage.packages[0].package.forEach(pkg => {
-        if (pkg.classes?.[0]?.class) {
-          classes.push(...pkg.classes[0].class);
-        }
-      });
-      return classes;
+// Reports are streamed and parsed concurrently, so only the parsed models are kept in memory
+async function loadCoverageReports(storage, reportPaths, format, options) {
+  const reports = await Promise.all(reportPaths.map(async (reportPath) => {
+    const content = await downloadFile(storage, reportPath);
+    let report;
+    try {
+      report = await parseCoverageReport(content, format, options);
+    } catch (error) {
+      throw new Error(`Failed to parse coverage report ${reportPath}: ${error.message}`);
     }
-    return [];
-  };
+    if (format === AUTO_FORMAT) {
+      core.info(`Detected ${report.format} coverage report: ${reportPath}`);
+    }
+    // Reports may come from another working directory or container, compare repository paths
+    return resolveFilePaths(report, {
+      repositoryRoots: options.repositoryRoots,
+      exists: (filePath) => fs.existsSync(path.resolve(process.cwd(), filePath))
+    });
+  }));
 
-  // Index base files
-  const baseClasses = getClasses(baseCoverage);
-  baseClasses.forEach(cls => {
-    if (cls.lines?.[0]?.line) {
-      baseFiles.set(cls.$.filename, getLineCoverage(cls.lines[0].line));
+  if (reports.length > 1) {
+    core.info(`Merging ${reports.length} coverage reports`);
+  }
+  return mergeCoverageModels(reports);
+}
+
+// Lines of a "File Coverage Diff" block for the given files, sorted by the size of their change
+function formatFileTable(files, { baseBranch, headBranch, minCoverage, minBranchCoverage, showMissingLines }) {
+  const lines = ['```diff', '@@ File Coverage Diff @@'];
+
+  // Branch columns are only shown when the reports have branch data
+  const showBranches = files.some(({ baseBranchCov, headBranchCov }) => baseBranchCov !== null || headBranchCov !== null);
+  const header = showBranches
+    ? `## File    ${baseBranch}    ${headBranch}    +/-    Branches ${baseBranch}    ${headBranch}    +/-    Partials  ##`
+    : `## File    ${baseBranch}    ${headBranch}    +/-  ##`;
+  const maxWidth = Math.max(
+    header.length,
+    ...files.map(({ filename }) => filename.length + (showBranches ? 80 : 40))
+  );
+  const separator = '='.repeat(maxWidth);
+
+  lines.push(separator);
+  lines.push(header);
+  lines.push(separator);
+
+  [...files].sort((a, b) => Math.abs(b.change) - Math.abs(a.change)).forEach(({ filename, baseCov, headCov, change, isNew, missingLines, baseBranchCov, headBranchCov, branchChange, partials }) => {
+    const changeStr = change.toFixed(2);
+    const branchDropped = branchChange !== null && branchChange < 0;
+    const branchBelowMinimum = minBranchCoverage !== null && headBranchCov !== null && headBranchCov < minBranchCoverage;
+    const prefix = isNew
+      ? '+ '
+      : (change < 0 || headCov < minCoverage || branchDropped || branchBelowMinimum)
+        ? '- '
+        : '+ ';
+
+    let line = `${prefix}${filename.padEnd(20)} ${baseCov.toFixed(2).padStart(6)}%   ${headCov.toFixed(2).padStart(6)}%   ${change >= 0 ? '+' : ''}${changeStr.padStart(6)}%`;
+    if (showBranches) {
+      const branchChangeStr = branchChange === null ? '-'.padStart(8) : `${branchChange >= 0 ? '+' : ''}${branchChange.toFixed(2).padStart(6)}%`;
+      line += `   ${formatPercent(baseBranchCov)}   ${formatPercent(headBranchCov)}   ${branchChangeStr}   ${String(partials).padStart(6)}`;
     }
-  });
+    lines.push(line);
 
-  // Compare with head files
-  const headClasses = getClasses(headCoverage);
-  headClasses.forEach(cls => {
-    if (cls.lines?.[0]?.line) {
-      const filename = cls.$.filename;
-      const headLines = getLineCoverage(cls.lines[0].line);
-      const baseLines = baseFiles.get(filename) || new Map();
-
-      // Check each line in head
-      headLines.forEach((hits, lineNum) => {
-        if (hits > 0 && (!baseLines.has(lineNum) || baseLines.get(lineNum) === 0)) {
-          newLinesCovered++;
-        }
-      });
+    if (showMissingLines && missingLines) {
+      lines.push(`   Missing lines: ${missingLines}`);
     }
   });
 
-  return newLinesCovered;
+  lines.push(separator);
+  lines.push('```');
+  return lines;
 }
 
-function getLineCoverage(lines) {
-  const coverage = new Map();
-  lines.forEach(line => {
-    coverage.set(parseInt(line.$.number), parseInt(line.$.hits));
+// Lines of a "Coverage by Directory" block, subdirectories indented below their parent
+function formatRollupTable(directories, { baseBranch, headBranch }) {
+  const header = `## Directory    ${baseBranch}    ${headBranch}    +/-  ##`;
+  const shown = limitRollup(directories, MAX_ROLLUP_DIRECTORIES);
+  const labels = shown.map(({ name, level }) => `${'  '.repeat(level - 1)}${name}/`);
+  const labelWidth = Math.max(20, ...labels.map(label => label.length));
+  const separator = '='.repeat(Math.max(header.length, labelWidth + 32));
+  const lines = ['```diff', '@@ Coverage by Directory @@', separator, header, separator];
+
+  shown.forEach(({ baseRate, headRate, change }, index) => {
+    const prefix = change === null || Math.abs(change) < 0.0001 ? '  ' : change < 0 ? '- ' : '+ ';
+    const changeStr = change === null ? '-'.padStart(8) : `${change >= 0 ? '+' : ''}${(change * 100).toFixed(2).padStart(6)}%`;
+    const toPercent = (rate) => rate === null ? null : rate * 100;
+    lines.push(`${prefix}${labels[index].padEnd(labelWidth)} ${formatPercent(toPercent(baseRate))}   ${formatPercent(toPercent(headRate))}   ${changeStr}`);
   });
-  return coverage;
+  if (directories.length > shown.length) {
+    lines.push(`  ... and ${directories.length - shown.length} more directories`);
+  }
+
+  lines.push(separator);
+  lines.push('```');
+  return lines;
+}
+
+// Percentage column of the file table, "-" for files without data
+function formatPercent(value) {
+  return value === null ? '-'.padStart(7) : `${value.toFixed(2).padStart(6)}%`;
+}
+
+// Line range of a function, e.g. "lines 10-18"
+function formatFunctionLines({ startLine, endLine }) {
+  return endLine > startLine ? `lines ${startLine}-${endLine}` : `line ${startLine}`;
+}
+
+// Coverage share (0 to 1) as a percentage, e.g. "62.50%"
+function formatRate(rate) {
+  return `${(rate * 100).toFixed(2)}%`;
+}
+
+// "line 4" or "lines 4-7, 9", for line ranges built by formatLineRanges
+function formatLinesLabel(ranges) {
+  return /[,-]/.test(ranges) ? `lines ${ranges}` : `line ${ranges}`;
+}
+
+// Module path of the repository's go.mod, used to turn Go import paths into repository paths.
+// Without a go.mod, the usual github.com/<owner>/<repo> module path is assumed.
+function getGoModulePath(context) {
+  const goModPath = path.resolve(process.cwd(), 'go.mod');
+  if (fs.existsSync(goModPath)) {
+    try {
+      const match = fs.readFileSync(goModPath, 'utf-8').match(/^module\s+"?([^\s"]+)"?/m);
+      if (match) return match[1];
+    } catch (error) {
+      core.warning(`Failed to read go.mod: ${error.message}`);
+    }
+  }
+  return `github.com/${context.repo.owner}/${context.repo.repo}`;
+}
+
+async function downloadFile(storage, filePath) {
+  if (!storage || !filePath) {
+    throw new Error('Storage and filePath are required');
+  }
+
+  try {
+    // Streams are parsed as they are downloaded, other backends return the whole file.
+    // gzip and zstd reports are decompressed on the fly.
+    const content = storage.readStream ? await storage.readStream(filePath) : await storage.readFile(filePath);
+    return await decompressReport(content);
+  } catch (error) {
+    throw new Error(`Failed to download file ${filePath}: ${error.message}`);
+  }
 }
 
 function printFileStatistics(coverage) {
@@ -464,28 +824,11 @@ function printFileStatistics(coverage) {
     let totalLines = 0;
     let coveredLines = 0;
 
-    // Handle Python coverage format
-    if (coverage.coverage.classes) {
-      coverage.coverage.classes[0].class.forEach(cls => {
-        if (cls.lines?.[0]?.line) {
-          totalLines += cls.lines[0].line.length;
-          coveredLines += cls.lines[0].line.filter(line => parseInt(line.$.hits) > 0).length;
-        }
-      });
-    }
-    // Handle Java/JS format
-    else if (coverage.coverage.packages) {
-      coverage.coverage.packages[0].package.forEach(pkg => {
-        if (pkg.classes?.[0]?.class) {
-          pkg.classes[0].class.forEach(cls => {
-            if (cls.lines?.[0]?.line) {
-              totalLines += cls.lines[0].line.length;
-              coveredLines += cls.lines[0].line.filter(line => parseInt(line.$.hits) > 0).length;
-            }
-          });
-        }
-      });
-    }
+    coverage.files.forEach(file => {
+      const metrics = getFileMetrics(file);
+      totalLines += metrics.lines;
+      coveredLines += metrics.covered;
+    });
 
     const coveragePercent = ((coveredLines / totalLines) * 100).toFixed(2);
 
@@ -590,75 +933,37 @@ function getFilesWithCoverageChanges(baseCoverage, headCoverage, prChangedFiles
   };
 
   // Helper to calculate file coverage and get missing lines
-  const calculateFileCoverage = (cls) => {
-    if (!cls.lines?.[0]?.line) return null;
-    const lines = cls.lines[0].line;
-    const covered = lines.filter(line => parseInt(line.$.hits) > 0).length;
-    const missingLines = lines
-      .filter(line => parseInt(line.$.hits) === 0)
-      .map(line => parseInt(line.$.number))
-      .sort((a, b) => a - b);
-
-    // Group consecutive numbers into ranges
-    const ranges = missingLines.reduce((acc, curr, i) => {
-      if (i === 0) {
-        acc.push([curr]);
-      } else if (curr === missingLines[i - 1] + 1) {
-        acc[acc.length - 1].push(curr);
-      } else {
-        acc.push([curr]);
-      }
-      return acc;
-    }, []);
-
-    // Format ranges as strings
-    const missingRanges = ranges.map(range =>
-      range.length === 1 ? `${range[0]}` : `${range[0]}-${range[range.length - 1]}`
-    ).join(', ');
+  const calculateFileCoverage = (file) => {
+    const metrics = getFileMetrics(file);
+    if (metrics.lines === 0) return null;
 
     return {
-      coverage: (covered / lines.length) * 100,
-      missingRanges
+      coverage: metrics.lineRate * 100,
+      branchCoverage: metrics.branchRate === null ? null : metrics.branchRate * 100,
+      partials: metrics.partials,
+      missingRanges: formatLineRanges(metrics.missingLines)
     };
   };
 
-  // Process base coverage
-  if (baseCoverage.coverage.classes) {
-    baseCoverage.coverage.classes[0].class.forEach(cls => {
-      const coverage = calculateFileCoverage(cls);
-      if (coverage !== null) {
-        baseFiles.set(normalizePath(cls.$.filename), coverage);
-      }
-    });
-  } else if (baseCoverage.coverage.packages) {
-    baseCoverage.coverage.packages[0].package.forEach(pkg => {
-      pkg.classes?.[0]?.class.forEach(cls => {
-        const coverage = calculateFileCoverage(cls);
-        if (coverage !== null) {
-          baseFiles.set(normalizePath(cls.$.filename), coverage);
-        }
-      });
-    });
-  }
+  // Index base and head files by normalized path
+  baseCoverage.files.forEach(file => {
+    const coverage = calculateFileCoverage(file);
+    if (coverage !== null) {
+      baseFiles.set(normalizePath(file.path), coverage);
+    }
+  });
 
-  // Process head coverage similarly
-  if (headCoverage.coverage.classes) {
-    headCoverage.coverage.classes[0].class.forEach(cls => {
-      const coverage = calculateFileCoverage(cls);
-      if (coverage !== null) {
-        headFiles.set(normalizePath(cls.$.filename), coverage);
-      }
-    });
-  } else if (headCoverage.coverage.packages) {
-    headCoverage.coverage.packages[0].package.forEach(pkg => {
-      pkg.classes?.[0]?.class.forEach(cls => {
-        const coverage = calculateFileCoverage(cls);
-        if (coverage !== null) {
-          headFiles.set(normalizePath(cls.$.filename), coverage);
-        }
-      });
-    });
-  }
+  headCoverage.files.forEach(file => {
+    const coverage = calculateFileCoverage(file);
+    if (coverage !== null) {
+      headFiles.set(normalizePath(file.path), coverage);
+    }
+  });
+
+  // Files modified by the PR. Without the list of PR files, every file counts as modified.
+  const prFilenames = prChangedFiles.map(({ filename }) => normalizePath(filename));
+  const isModifiedInPR = (filename) => prFilenames.length === 0 ||
+    prFilenames.some(prFilename => prFilename === filename || prFilename.endsWith(`/${filename}`));
 
   // Compare coverages
   const allFiles = new Set([...baseFiles.keys(), ...headFiles.keys()]);
@@ -668,15 +973,23 @@ function getFilesWithCoverageChanges(baseCoverage, headCoverage, prChangedFiles
     const change = headCov - baseCov;
     const isNew = !baseFiles.has(filename);
     const missingLines = headFiles.get(filename)?.missingRanges || '';
+    const baseBranchCov = baseFiles.get(filename)?.branchCoverage ?? null;
+    const headBranchCov = headFiles.get(filename)?.branchCoverage ?? null;
+    const branchChange = baseBranchCov !== null && headBranchCov !== null ? headBranchCov - baseBranchCov : null;
 
-    if (Math.abs(change) > 0.01 || isNew) {
+    if (Math.abs(change) > 0.01 || Math.abs(branchChange || 0) > 0.01 || isNew) {
       changedFiles.push({
         filename,
         baseCov,
         headCov,
         change,
         isNew,
-        missingLines
+        missingLines,
+        baseBranchCov,
+        headBranchCov,
+        branchChange,
+        partials: headFiles.get(filename)?.partials || 0,
+        isDirect: isModifiedInPR(filename)
       });
     }
   });
@@ -684,7 +997,7 @@ function getFilesWithCoverageChanges(baseCoverage, headCoverage, prChangedFiles
   // Process PR changed files
   prChangedFiles.forEach(({ filename }) => {
     // Only process source code files
-    if (filename.match(/\.(py|js|java|jsx|ts|tsx)$/)) {
+    if (filename.match(/\.(py|js|java|jsx|ts|tsx|go)$/)) {
       const normalizedFilename = normalizePath(filename);
 
       // Skip files that match omit patterns for uncovered files list
@@ -703,39 +1016,21 @@ function getFilesWithCoverageChanges(baseCoverage, headCoverage, prChangedFiles
   return { changedFiles, uncoveredFiles };
 }
 
-function countFiles(coverage) {
-  let count = 0;
-  if (coverage.coverage.classes) {
-    // Python format
-    coverage.coverage.packages.forEach(pkg => {
-      pkg.classes.forEach(cls => {
-        cls.class.forEach(c => {
-          if (c.$.filename) count++;
-        });
-      });
-    });
-  } else if (coverage.coverage.packages) {
-    // Java/JS format
-    coverage.coverage.packages[0].package.forEach(pkg => {
-      pkg.classes?.[0]?.class.forEach(cls => {
-        if (cls.$.filename) count++;
-      });
-    });
-  }
-  return count;
-}
-
 async function getPRChangedFiles(octokit, context) {
   try {
-    const response = await octokit.rest.pulls.listFiles({
+    // Patch coverage and the indirect changes need every file, not only the first page
+    const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
       owner: context.repo.owner,
       repo: context.repo.repo,
       pull_number: context.payload.pull_request.number,
+      per_page: 100
     });
 
-    return response.data.map(file => ({
+    return files.map(file => ({
       filename: file.filename,
-      status: file.status
+      status: file.status,
+      previousFilename: file.previous_filename,
+      patch: file.patch
     }));
   } catch (error) {
     core.warning(`Failed to fetch PR changed files: ${error.message}`);
@@ -0,0 +1,81 @@
+/**
+ * Clover XML parser (PHPUnit, Istanbul clover reporter)
+ * <line type="stmt"> and <line type="cond"> elements become lines, conditionals become two
+ * branches (true and false) and <line type="method"> elements become methods
+ */
+const { createCoverageModel, getOrCreateFile, addLine, addMethod, inferMethodEndLines } = require('../coverage');
+const { parseXml } = require('./input');
+
+// Methods are collected until the end of the file, as only the line they start on is given
+function addCloverLine(file, line, methods) {
+  const number = parseInt(line.num);
+  if (Number.isNaN(number)) return;
+
+  if (line.type === 'method') {
+    methods.push({ name: line.name, startLine: number, hits: parseInt(line.count) || 0 });
+    return;
+  }
+
+  if (line.type === 'cond') {
+    const trueCount = parseInt(line.truecount) || 0;
+    const falseCount = parseInt(line.falsecount) || 0;
+    // PHPUnit doesn't write a count on conditionals, the line ran if either outcome did
+    const hits = line.count !== undefined ? parseInt(line.count) || 0 : trueCount + falseCount;
+    addLine(file, number, hits, { covered: (trueCount > 0 ? 1 : 0) + (falseCount > 0 ? 1 : 0), total: 2 });
+    return;
+  }
+
+  addLine(file, number, parseInt(line.count) || 0);
+}
+
+async function parseClover(input) {
+  const model = createCoverageModel('clover');
+  let hasProject = false;
+  let file = null;
+  let methods = [];
+
+  await parseXml(input, {
+    onOpen(name, attributes, parents) {
+      const parent = parents[parents.length - 1];
+      if (parents.length === 0) {
+        if (name !== 'coverage') {
+          throw new Error('Not a Clover report: missing <coverage><project> elements');
+        }
+        model.timestamp = attributes.generated || null;
+        return;
+      }
+
+      if (name === 'project' && parent === 'coverage') {
+        hasProject = true;
+        model.timestamp = attributes.timestamp || model.timestamp;
+      } else if (name === 'metrics' && parent === 'project' && attributes.conditionals !== undefined) {
+        model.branchTotals = {
+          total: parseInt(attributes.conditionals) || 0,
+          covered: parseInt(attributes.coveredconditionals) || 0
+        };
+      } else if (name === 'file' && parents.includes('project')) {
+        // <file> elements can be nested in <package> elements or listed directly under <project>
+        const filePath = attributes.path || attributes.name;
+        file = filePath ? getOrCreateFile(model, filePath) : null;
+      } else if (name === 'line' && parent === 'file' && file) {
+        addCloverLine(file, attributes, methods);
+      }
+    },
+
+    onClose(name) {
+      if (name !== 'file') return;
+      if (file) {
+        inferMethodEndLines(methods, file.lines.keys()).forEach(method => addMethod(file, method));
+      }
+      file = null;
+      methods = [];
+    }
+  });
+
+  if (!hasProject) {
+    throw new Error('Not a Clover report: missing <coverage><project> elements');
+  }
+  return model;
+}
+
+module.exports = { parseClover };
@@ -0,0 +1,101 @@
+/**
+ * Cobertura XML parser
+ * Reads every <package> of every <packages> element (and the flat <classes> layout some
+ * tools emit) into the normalized coverage model, in a single streaming pass
+ */
+const { createCoverageModel, getOrCreateFile, addLine, addMethod } = require('../coverage');
+const { parseXml } = require('./input');
+
+// Parse the "covered/total" part of a condition-coverage attribute such as "50% (1/2)"
+function parseConditionCoverage(attributes) {
+  const match = (attributes['condition-coverage'] || attributes.condition_coverage || '').match(/\((\d+)\/(\d+)\)/);
+  return match ? { covered: parseInt(match[1]), total: parseInt(match[2]) } : null;
+}
+
+async function parseCobertura(input) {
+  const model = createCoverageModel('cobertura');
+  let hasRoot = false;
+  let file = null;
+  let method = null;
+  // Some generators only list lines under <methods>, they are used when the class has no <lines>
+  let classHasLines = false;
+  let methodLines = [];
+
+  const readLine = (attributes) => {
+    const number = parseInt(attributes.number);
+    if (Number.isNaN(number)) return null;
+    return { number, hits: parseInt(attributes.hits) || 0, branches: parseConditionCoverage(attributes) };
+  };
+
+  await parseXml(input, {
+    onOpen(name, attributes, parents) {
+      if (parents.length === 0) {
+        if (name !== 'coverage') {
+          throw new Error('Not a Cobertura report: missing <coverage> root element');
+        }
+        hasRoot = true;
+        model.timestamp = attributes.timestamp || null;
+        if (attributes['branches-valid'] !== undefined) {
+          model.branchTotals = {
+            total: parseInt(attributes['branches-valid']) || 0,
+            covered: parseInt(attributes['branches-covered']) || 0
+          };
+        }
+        return;
+      }
+
+      if (name === 'class') {
+        file = attributes.filename ? getOrCreateFile(model, attributes.filename) : null;
+        classHasLines = false;
+        methodLines = [];
+      } else if (name === 'method' && file) {
+        method = { name: attributes.name, hits: attributes.hits, lines: [] };
+      } else if (name === 'line' && file) {
+        const line = readLine(attributes);
+        if (!line) return;
+        if (method) {
+          method.lines.push(line);
+          methodLines.push(line);
+        } else {
+          classHasLines = true;
+          addLine(file, line.number, line.hits, line.branches);
+        }
+      }
+    },
+
+    onClose(name) {
+      if (name === 'method' && method) {
+        if (method.lines.length > 0) {
+          const numbers = method.lines.map(line => line.number);
+          addMethod(file, {
+            name: method.name,
+            startLine: Math.min(...numbers),
+            endLine: Math.max(...numbers),
+            hits: method.hits !== undefined
+              ? parseInt(method.hits) || 0
+              : Math.max(...method.lines.map(line => line.hits))
+          });
+        }
+        method = null;
+      } else if (name === 'class' && file) {
+        if (!classHasLines) {
+          methodLines.forEach(line => addLine(file, line.number, line.hits, line.branches));
+        }
+        file = null;
+      }
+    },
+
+    onText(text, parents) {
+      if (parents[parents.length - 1] === 'source' && parents[parents.length - 2] === 'sources') {
+        model.sources.push(text);
+      }
+    }
+  });
+
+  if (!hasRoot) {
+    throw new Error('Not a Cobertura report: missing <coverage> root element');
+  }
+  return model;
+}
+
+module.exports = { parseCobertura, parseConditionCoverage };
@@ -0,0 +1,69 @@
+/**
+ * coverage.py JSON parser (coverage json [--show-contexts])
+ * Executed and missing lines become line hits, executed/missing branch arcs become branches,
+ * and the test contexts of each line are kept to tell which tests ran the changed lines.
+ * Excluded lines are not executable, so they are left out of the model.
+ */
+const { createCoverageModel, getOrCreateFile, addLine, addMethod, addLineContexts } = require('../coverage');
+const { readText } = require('./input');
+
+// Branch arcs ([from, to]) grouped by their source line
+function getBranchLines(fileCoverage) {
+  const branches = new Map();
+  const countArcs = (arcs, covered) => (arcs || []).forEach(([from]) => {
+    const existing = branches.get(from) || { covered: 0, total: 0 };
+    existing.total++;
+    if (covered) existing.covered++;
+    branches.set(from, existing);
+  });
+
+  countArcs(fileCoverage.executed_branches, true);
+  countArcs(fileCoverage.missing_branches, false);
+  return branches;
+}
+
+function addFileCoverage(model, filePath, fileCoverage) {
+  const file = getOrCreateFile(model, filePath);
+  const branches = getBranchLines(fileCoverage);
+
+  (fileCoverage.executed_lines || []).forEach(number => addLine(file, number, 1, branches.get(number) || null));
+  (fileCoverage.missing_lines || []).forEach(number => addLine(file, number, 0, branches.get(number) || null));
+
+  Object.entries(fileCoverage.contexts || {}).forEach(([number, contexts]) => {
+    addLineContexts(file, parseInt(number), contexts);
+  });
+
+  // "functions" is only present since coverage.py 7.5; the "" entry holds module-level code
+  Object.entries(fileCoverage.functions || {}).forEach(([name, fn]) => {
+    if (!name) return;
+    const executed = fn.executed_lines || [];
+    const numbers = [...executed, ...(fn.missing_lines || [])];
+    if (numbers.length === 0) return;
+    addMethod(file, {
+      name,
+      startLine: Math.min(...numbers),
+      endLine: Math.max(...numbers),
+      hits: executed.length > 0 ? 1 : 0
+    });
+  });
+}
+
+async function parseCoveragePy(input) {
+  let data;
+  try {
+    data = JSON.parse(await readText(input));
+  } catch (error) {
+    throw new Error(`Not a coverage.py JSON report: ${error.message}`);
+  }
+  if (!data?.meta || !data.files) {
+    throw new Error('Not a coverage.py JSON report: missing "meta" or "files"');
+  }
+
+  const model = createCoverageModel('coveragepy');
+  model.timestamp = data.meta.timestamp || null;
+
+  Object.entries(data.files).forEach(([filePath, fileCoverage]) => addFileCoverage(model, filePath, fileCoverage));
+  return model;
+}
+
+module.exports = { parseCoveragePy };
@@ -0,0 +1,53 @@
+/**
+ * Go coverprofile parser (go test -coverprofile)
+ * Every block (file:startLine.startCol,endLine.endCol numStmts count) is expanded into per-line
+ * hits. Paths are import paths, so the module path prefix is stripped to get repository paths.
+ */
+const { createCoverageModel, getOrCreateFile, addLine } = require('../coverage');
+const { readLines } = require('./input');
+
+const BLOCK_PATTERN = /^(.+):(\d+)\.\d+,(\d+)\.\d+ (\d+) (\d+)$/;
+
+async function parseGoCoverprofile(input, { modulePath } = {}) {
+  const prefix = modulePath ? `${modulePath.replace(/\/+$/, '')}/` : null;
+  const model = createCoverageModel('go');
+  let hasHeader = false;
+
+  for await (const rawLine of readLines(input)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    // Profiles merged from several runs repeat the mode header
+    if (line.startsWith('mode:')) {
+      hasHeader = true;
+      continue;
+    }
+    if (!hasHeader) {
+      throw new Error('Not a Go coverprofile: missing "mode:" header');
+    }
+
+    const match = line.match(BLOCK_PATTERN);
+    if (!match) {
+      throw new Error(`Not a Go coverprofile: invalid block "${line}"`);
+    }
+
+    const [, importPath, start, end, statements, count] = match;
+    // Blocks without statements (e.g. empty function bodies) don't make lines executable
+    if (parseInt(statements) === 0) continue;
+
+    const filePath = prefix && importPath.startsWith(prefix) ? importPath.substring(prefix.length) : importPath;
+    const file = getOrCreateFile(model, filePath);
+    const hits = parseInt(count);
+    // Lines shared by two blocks (e.g. "} else {") keep the highest count
+    for (let number = parseInt(start); number <= parseInt(end); number++) {
+      addLine(file, number, hits);
+    }
+  }
+
+  if (!hasHeader) {
+    throw new Error('Not a Go coverprofile: missing "mode:" header');
+  }
+  return model;
+}
+
+module.exports = { parseGoCoverprofile };
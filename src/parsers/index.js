@@ -0,0 +1,110 @@
+/**
+ * Coverage report parsers
+ * Every parser turns the content of a report into the normalized coverage model.
+ * With the "auto" format, the parser is chosen from the content of the report.
+ */
+const { parseCobertura } = require('./cobertura');
+const { parseLcov } = require('./lcov');
+const { parseJacoco } = require('./jacoco');
+const { parseIstanbul } = require('./istanbul');
+const { parseGoCoverprofile } = require('./go');
+const { parseCoveragePy } = require('./coveragepy');
+const { parseClover } = require('./clover');
+const { readText, peekInput } = require('./input');
+
+const PARSERS = {
+  cobertura: parseCobertura,
+  lcov: parseLcov,
+  jacoco: parseJacoco,
+  istanbul: parseIstanbul,
+  go: parseGoCoverprofile,
+  coveragepy: parseCoveragePy,
+  clover: parseClover
+};
+
+const COVERAGE_FORMATS = Object.keys(PARSERS);
+const AUTO_FORMAT = 'auto';
+// Bytes read from the beginning of a report to detect its format
+const DETECTION_SIZE = 64 * 1024;
+
+// Name of the root element of an XML document, skipping the declaration, comments and doctype
+function getXmlRootElement(content) {
+  const body = content
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '');
+  const match = body.match(/<([A-Za-z_][\w.:-]*)/);
+  return match ? match[1] : null;
+}
+
+function detectJsonFormat(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+  if (data.meta && data.files) return 'coveragepy';
+  if (data.total?.lines) return 'istanbul';
+
+  // coverage-final.json: file coverage objects, possibly wrapped in "data"
+  const [first] = Object.values(data);
+  const fileCoverage = first?.data || first;
+  return fileCoverage && fileCoverage.statementMap ? 'istanbul' : null;
+}
+
+// Guess the format of a report from its content, or null when no parser matches. Only the
+// beginning of large reports is needed, except for JSON which is detected from the whole text.
+function detectCoverageFormat(content) {
+  const text = content.toString().replace(/^\uFEFF/, '').trim();
+
+  if (text.startsWith('<')) {
+    const root = getXmlRootElement(text);
+    if (root === 'report') return 'jacoco';
+    // Clover and Cobertura share the <coverage> root, only Clover has a <project> inside
+    if (root === 'coverage') return /<project[\s>]/.test(text) ? 'clover' : 'cobertura';
+    return null;
+  }
+  if (text.startsWith('{')) {
+    return detectJsonFormat(text);
+  }
+  if (text.startsWith('mode:')) {
+    return 'go';
+  }
+  if (/^(TN|SF):/m.test(text)) {
+    return 'lcov';
+  }
+  return null;
+}
+
+// Parse a report given as a string, a Buffer or a stream of chunks.
+// options.modulePath is the Go module path stripped from coverprofile import paths.
+async function parseCoverageReport(content, format = AUTO_FORMAT, options = {}) {
+  let input = content;
+  let resolvedFormat = format;
+
+  if (format === AUTO_FORMAT) {
+    const peeked = await peekInput(content, DETECTION_SIZE);
+    input = peeked.input;
+    const head = peeked.head.toString();
+    resolvedFormat = detectCoverageFormat(head);
+    // JSON formats can only be told apart from the whole document
+    if (!resolvedFormat && head.trimStart().startsWith('{') && !peeked.complete) {
+      input = await readText(peeked.input);
+      resolvedFormat = detectCoverageFormat(input);
+    }
+  }
+  if (!resolvedFormat) {
+    throw new Error(`Unable to detect the coverage report format. Formats tried: ${COVERAGE_FORMATS.join(', ')}`);
+  }
+
+  const parse = PARSERS[resolvedFormat];
+  if (!parse) {
+    throw new Error(`Unsupported coverage format "${resolvedFormat}". Supported formats: ${COVERAGE_FORMATS.join(', ')}`);
+  }
+  return parse(input, options);
+}
+
+module.exports = { parseCoverageReport, detectCoverageFormat, COVERAGE_FORMATS, AUTO_FORMAT };
@@ -0,0 +1,117 @@
+/**
+ * Report input helpers shared by the parsers
+ * A report is read as a sequence of chunks (a string, a Buffer or an async iterable such as a
+ * storage read stream), so large reports are parsed without being held in memory at once
+ */
+const { StringDecoder } = require('string_decoder');
+const sax = require('sax');
+
+// Large Buffers are decoded in slices of this size rather than into a single string
+const CHUNK_SIZE = 64 * 1024;
+
+// Decode the chunks of a report as UTF-8 text, without splitting multi-byte characters
+async function* readChunks(input) {
+  const chunks = typeof input === 'string' || Buffer.isBuffer(input) ? [input] : input;
+  const decoder = new StringDecoder('utf8');
+  for await (const chunk of chunks) {
+    if (typeof chunk === 'string') {
+      yield chunk;
+      continue;
+    }
+    const bytes = Buffer.from(chunk);
+    for (let offset = 0; offset < bytes.length; offset += CHUNK_SIZE) {
+      const text = decoder.write(bytes.subarray(offset, offset + CHUNK_SIZE));
+      if (text) yield text;
+    }
+  }
+  const rest = decoder.end();
+  if (rest) yield rest;
+}
+
+// Whole text of a report, for formats that can't be parsed incrementally (JSON)
+async function readText(input) {
+  let text = '';
+  for await (const chunk of readChunks(input)) {
+    text += chunk;
+  }
+  return text;
+}
+
+// Lines of a report, for line-based formats (LCOV, Go coverprofile)
+async function* readLines(input) {
+  let pending = '';
+  for await (const chunk of readChunks(input)) {
+    const lines = (pending + chunk).split(/\r?\n/);
+    pending = lines.pop();
+    yield* lines;
+  }
+  if (pending) yield pending;
+}
+
+// Read the first size bytes of a report (or all of it when shorter), returning them as head
+// along with an input that replays them before the rest of the report
+async function peekInput(input, size) {
+  if (typeof input === 'string' || Buffer.isBuffer(input)) {
+    return { head: input.slice(0, size), input, complete: input.length <= size };
+  }
+
+  const iterator = input[Symbol.asyncIterator] ? input[Symbol.asyncIterator]() : input[Symbol.iterator]();
+  const chunks = [];
+  let length = 0;
+  let done = false;
+  while (length < size) {
+    const next = await iterator.next();
+    if (next.done) {
+      done = true;
+      break;
+    }
+    chunks.push(next.value);
+    length += next.value.length;
+  }
+
+  const replay = (async function* () {
+    yield* chunks;
+    while (!done) {
+      const next = await iterator.next();
+      if (next.done) return;
+      yield next.value;
+    }
+  })();
+  const head = Buffer.concat(chunks.map(chunk => Buffer.from(chunk))).subarray(0, size);
+  return { head, input: replay, complete: done && length <= size };
+}
+
+// Parse an XML report in a single pass. handlers.onOpen(name, attributes, parents) and
+// handlers.onClose(name, parents) are called for every element, with the names of its
+// ancestors, and handlers.onText(text, parents) for the text inside elements.
+async function parseXml(input, { onOpen, onClose, onText }) {
+  const parser = sax.parser(true, { trim: true });
+  const parents = [];
+  let error = null;
+
+  parser.onopentag = ({ name, attributes }) => {
+    if (onOpen) onOpen(name, attributes, parents);
+    parents.push(name);
+  };
+  parser.onclosetag = (name) => {
+    parents.pop();
+    if (onClose) onClose(name, parents);
+  };
+  parser.ontext = (text) => {
+    if (onText && text) onText(text, parents);
+  };
+  parser.onerror = (parseError) => {
+    error = error || parseError;
+  };
+
+  for await (const chunk of readChunks(input)) {
+    parser.write(chunk);
+    if (error) break;
+  }
+  if (!error) parser.close();
+  if (error) {
+    throw new Error(`Invalid XML: ${error.message.split('\n')[0]}`);
+  }
+}
+
+module.exports = { readChunks, readText, readLines, peekInput, parseXml };
@@ -0,0 +1,102 @@
+/**
+ * Istanbul JSON parser (coverage-final.json and coverage-summary.json)
+ * coverage-final.json statements are mapped to the line they start on, like Istanbul's own
+ * line coverage. coverage-summary.json only has per-file totals, kept as file summaries.
+ */
+const { createCoverageModel, getOrCreateFile, addLine, addMethod } = require('../coverage');
+const { readText } = require('./input');
+
+const startLine = (location) => location?.start?.line;
+
+// Statement counts per line, keeping the highest count of the statements starting on a line
+function getStatementLines(fileCoverage) {
+  const lines = new Map();
+  Object.entries(fileCoverage.statementMap || {}).forEach(([id, statement]) => {
+    const line = startLine(statement);
+    if (!line) return;
+    const hits = fileCoverage.s?.[id] || 0;
+    lines.set(line, Math.max(lines.get(line) ?? 0, hits));
+  });
+  return lines;
+}
+
+// Branch outcomes per line. Branches starting on a line without statements (e.g. default
+// parameters) are counted on the closest statement line above them.
+function getBranchLines(fileCoverage, statementLines) {
+  const numbers = [...statementLines.keys()].sort((a, b) => a - b);
+  const branches = new Map();
+
+  Object.entries(fileCoverage.branchMap || {}).forEach(([id, branch]) => {
+    const line = startLine(branch.loc) || branch.line || startLine(branch.locations?.[0]);
+    if (!line || numbers.length === 0) return;
+    const target = statementLines.has(line)
+      ? line
+      : numbers.filter(number => number < line).pop() ?? numbers[0];
+
+    const counts = fileCoverage.b?.[id] || [];
+    const existing = branches.get(target) || { covered: 0, total: 0 };
+    existing.total += counts.length;
+    existing.covered += counts.filter(count => count > 0).length;
+    branches.set(target, existing);
+  });
+  return branches;
+}
+
+function addFileCoverage(model, filePath, fileCoverage) {
+  const file = getOrCreateFile(model, fileCoverage.path || filePath);
+  const statementLines = getStatementLines(fileCoverage);
+  const branchLines = getBranchLines(fileCoverage, statementLines);
+
+  statementLines.forEach((hits, number) => {
+    addLine(file, number, hits, branchLines.get(number) || null);
+  });
+
+  Object.entries(fileCoverage.fnMap || {}).forEach(([id, fn]) => {
+    const line = startLine(fn.decl) || startLine(fn.loc) || fn.line;
+    if (!line) return;
+    addMethod(file, {
+      name: fn.name,
+      startLine: line,
+      endLine: fn.loc?.end?.line || line,
+      hits: fileCoverage.f?.[id] || 0
+    });
+  });
+}
+
+const toCounter = (metric) => ({ covered: metric?.covered || 0, total: metric?.total || 0 });
+
+async function parseIstanbul(input) {
+  let data;
+  try {
+    data = JSON.parse(await readText(input));
+  } catch (error) {
+    throw new Error(`Not an Istanbul report: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Not an Istanbul report: expected an object keyed by file path');
+  }
+
+  const model = createCoverageModel('istanbul');
+
+  // coverage-summary.json has a "total" entry and per-file { lines, statements, branches, functions }
+  if (data.total?.lines) {
+    Object.entries(data).forEach(([filePath, summary]) => {
+      if (filePath === 'total') return;
+      const file = getOrCreateFile(model, filePath);
+      file.summary = {
+        lines: toCounter(summary.lines),
+        branches: toCounter(summary.branches),
+        functions: toCounter(summary.functions)
+      };
+    });
+    return model;
+  }
+
+  Object.entries(data).forEach(([filePath, fileCoverage]) => {
+    // Coverage objects serialized by some tools wrap the file coverage in "data"
+    addFileCoverage(model, filePath, fileCoverage.data || fileCoverage);
+  });
+  return model;
+}
+
+module.exports = { parseIstanbul };
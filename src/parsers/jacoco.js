@@ -0,0 +1,132 @@
+/**
+ * JaCoCo XML parser
+ * Lines come from <sourcefile>/<line nr mi ci mb cb>, methods from <class>/<method> and the
+ * report-level totals from <counter>. File paths are rebuilt as package/sourcefile, so they
+ * are relative to the source root (e.g. src/main/java) rather than to the repository.
+ */
+const { createCoverageModel, getOrCreateFile, addLine, addMethod, inferMethodEndLines, getSortedLineNumbers } = require('../coverage');
+const { parseXml } = require('./input');
+
+// Read a <counter type missed covered> element as [type, { covered, total }]
+function parseCounter(attributes) {
+  const missed = parseInt(attributes.missed) || 0;
+  const covered = parseInt(attributes.covered) || 0;
+  return [(attributes.type || '').toLowerCase(), { covered, total: missed + covered }];
+}
+
+// Add the methods of a file once its lines are known. A method only gives the line it starts
+// on and, in its LINE counter, how many executable lines it has: it ends on the last of them.
+function addMethods(file, methods) {
+  const lineNumbers = getSortedLineNumbers(file);
+  const withEndLines = methods.map(({ lineCount, ...method }) => {
+    if (!lineCount) return method;
+    const endLine = lineNumbers.filter(number => number >= method.startLine)[lineCount - 1];
+    return endLine !== undefined ? { ...method, endLine } : method;
+  });
+  inferMethodEndLines(withEndLines, lineNumbers).forEach(method => addMethod(file, method));
+}
+
+async function parseJacoco(input) {
+  const model = createCoverageModel('jacoco');
+  let hasRoot = false;
+  let sessionStart = null;
+  let packageName = '';
+  let file = null;
+  let method = null;
+  // Methods per file: <class> elements come before the <sourcefile> with the lines
+  const methods = new Map();
+
+  const toPath = (sourcefile) => (packageName ? `${packageName}/${sourcefile}` : sourcefile);
+
+  await parseXml(input, {
+    onOpen(name, attributes, parents) {
+      const parent = parents[parents.length - 1];
+      if (parents.length === 0) {
+        if (name !== 'report') {
+          throw new Error('Not a JaCoCo report: missing <report> root element');
+        }
+        hasRoot = true;
+        return;
+      }
+
+      switch (name) {
+        case 'sessioninfo': {
+          const start = parseInt(attributes.start);
+          if (!Number.isNaN(start)) sessionStart = Math.max(sessionStart || 0, start);
+          break;
+        }
+        // Packages can be nested in <group> elements, e.g. for multi-module reports
+        case 'package':
+          packageName = attributes.name || '';
+          break;
+        case 'class':
+          file = attributes.sourcefilename ? getOrCreateFile(model, toPath(attributes.sourcefilename)) : null;
+          break;
+        case 'method': {
+          const line = parseInt(attributes.line);
+          method = file && !Number.isNaN(line) ? { name: attributes.name, startLine: line, counters: {} } : null;
+          break;
+        }
+        case 'sourcefile':
+          file = getOrCreateFile(model, toPath(attributes.name));
+          break;
+        case 'line': {
+          const number = parseInt(attributes.nr);
+          if (parent !== 'sourcefile' || !file || Number.isNaN(number)) break;
+          // JaCoCo has no hit counts, only covered and missed instructions and branches per line
+          const coveredBranches = parseInt(attributes.cb) || 0;
+          const totalBranches = coveredBranches + (parseInt(attributes.mb) || 0);
+          addLine(
+            file,
+            number,
+            (parseInt(attributes.ci) || 0) > 0 ? 1 : 0,
+            totalBranches > 0 ? { covered: coveredBranches, total: totalBranches } : null
+          );
+          break;
+        }
+        case 'counter': {
+          const [type, counter] = parseCounter(attributes);
+          if (parent === 'method' && method) {
+            method.counters[type] = counter;
+          } else if (parent === 'report') {
+            model.counters[type] = counter;
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    },
+
+    onClose(name) {
+      if (name === 'method' && method) {
+        const { counters } = method;
+        if (!methods.has(file)) methods.set(file, []);
+        methods.get(file).push({
+          name: method.name,
+          startLine: method.startLine,
+          lineCount: counters.line?.total,
+          hits: counters.method ? counters.method.covered : (counters.instruction?.covered > 0 ? 1 : 0)
+        });
+        method = null;
+      } else if (name === 'class' || name === 'sourcefile') {
+        file = null;
+      } else if (name === 'package') {
+        packageName = '';
+      }
+    }
+  });
+
+  if (!hasRoot) {
+    throw new Error('Not a JaCoCo report: missing <report> root element');
+  }
+
+  methods.forEach((fileMethods, methodFile) => addMethods(methodFile, fileMethods));
+  model.timestamp = sessionStart !== null ? String(sessionStart) : null;
+  if (model.counters.branch) {
+    model.branchTotals = model.counters.branch;
+  }
+  return model;
+}
+
+module.exports = { parseJacoco };
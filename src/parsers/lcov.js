@@ -0,0 +1,96 @@
+/**
+ * LCOV (lcov.info) parser
+ * Line hits come from DA records, branches from BRDA and functions from FN/FNDA
+ */
+const { createCoverageModel, getOrCreateFile, addLine, addMethod, inferMethodEndLines } = require('../coverage');
+const { readLines } = require('./input');
+
+// Add the lines, branches and functions collected for one SF record to the model
+function addRecord(model, record) {
+  const file = getOrCreateFile(model, record.path);
+
+  record.lines.forEach((hits, number) => {
+    addLine(file, number, hits, record.branches.get(number) || null);
+  });
+
+  // LCOV 1.x only gives the line functions start on
+  inferMethodEndLines(record.functions, record.lines.keys()).forEach(({ name, startLine, endLine }) => {
+    addMethod(file, { name, startLine, endLine, hits: record.functionHits.get(name) || 0 });
+  });
+}
+
+async function parseLcov(input) {
+  const model = createCoverageModel('lcov');
+  let record = null;
+
+  for await (const rawLine of readLines(input)) {
+    const line = rawLine.trim();
+    const separator = line.indexOf(':');
+    const type = separator === -1 ? line : line.substring(0, separator);
+    const values = separator === -1 ? [] : line.substring(separator + 1).split(',');
+
+    if (type === 'SF') {
+      record = {
+        path: line.substring(separator + 1),
+        lines: new Map(),
+        branches: new Map(),
+        functions: [],
+        functionHits: new Map()
+      };
+      continue;
+    }
+    if (type === 'end_of_record') {
+      if (record) addRecord(model, record);
+      record = null;
+      continue;
+    }
+    if (!record) continue;
+
+    switch (type) {
+      case 'DA': {
+        // DA:<line>,<hits>[,<checksum>]
+        const number = parseInt(values[0]);
+        const hits = parseInt(values[1]) || 0;
+        if (!Number.isNaN(number)) {
+          record.lines.set(number, Math.max(record.lines.get(number) || 0, hits));
+        }
+        break;
+      }
+      case 'BRDA': {
+        // BRDA:<line>,<block>,<branch>,<taken>, where taken is "-" when the line never ran
+        const number = parseInt(values[0]);
+        if (Number.isNaN(number)) break;
+        const branches = record.branches.get(number) || { covered: 0, total: 0 };
+        branches.total++;
+        if (values[3] !== '-' && parseInt(values[3]) > 0) branches.covered++;
+        record.branches.set(number, branches);
+        break;
+      }
+      case 'FN': {
+        // FN:<line>,<name> or, since LCOV 2.0, FN:<start line>,<end line>,<name>
+        const startLine = parseInt(values[0]);
+        const hasEndLine = values.length > 2 && /^\d+$/.test(values[1]);
+        const endLine = hasEndLine ? parseInt(values[1]) : undefined;
+        const name = values.slice(hasEndLine ? 2 : 1).join(',');
+        if (!Number.isNaN(startLine)) record.functions.push({ name, startLine, endLine });
+        break;
+      }
+      case 'FNDA': {
+        // FNDA:<hits>,<name>
+        const name = values.slice(1).join(',');
+        record.functionHits.set(name, (record.functionHits.get(name) || 0) + (parseInt(values[0]) || 0));
+        break;
+      }
+      default:
+        // Summary records (LF, LH, BRF, BRH, FNF, FNH) are recomputed from the model
+        break;
+    }
+  }
+
+  // Reports cut off before the final end_of_record
+  if (record) addRecord(model, record);
+
+  return model;
+}
+
+module.exports = { parseLcov };
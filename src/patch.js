@@ -0,0 +1,29 @@
+/**
+ * Patch coverage: coverage of the lines added or modified by a PR
+ * The added lines of every changed file are intersected with the line hits of the head report.
+ * Added lines the report doesn't list (comments, blank lines, declarations) aren't executable
+ * and are left out, as are changed files without coverage data.
+ */
+const { findCoverageFile } = require('./coverage');
+const { getAddedLines } = require('./diff');
+
+// Patch coverage per changed file and in total. rate is null when no changed line is executable.
+function getPatchCoverage(model, prChangedFiles) {
+  const files = prChangedFiles.map(({ filename, patch }) => {
+    const file = findCoverageFile(model, filename);
+    if (!file) return null;
+
+    const lines = getAddedLines(patch).filter(number => file.lines.has(number));
+    if (lines.length === 0) return null;
+
+    const missingLines = lines.filter(number => file.lines.get(number).hits === 0);
+    const covered = lines.length - missingLines.length;
+    return { filename, lines: lines.length, covered, rate: covered / lines.length, missingLines };
+  }).filter(Boolean);
+
+  const lines = files.reduce((total, file) => total + file.lines, 0);
+  const covered = files.reduce((total, file) => total + file.covered, 0);
+  return { files, lines, covered, rate: lines > 0 ? covered / lines : null };
+}
+
+module.exports = { getPatchCoverage };
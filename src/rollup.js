@@ -0,0 +1,94 @@
+/**
+ * Directory coverage rollup
+ * Covered and total lines of base and head are summed per directory, down to a given depth,
+ * to show which part of a large repository drives a coverage change
+ */
+const { getFileMetrics } = require('./coverage');
+
+function compareTreePaths(a, b) {
+  const aSegments = a.split('/');
+  const bSegments = b.split('/');
+  for (let i = 0; i < Math.min(aSegments.length, bSegments.length); i++) {
+    const order = aSegments[i].localeCompare(bSegments[i]);
+    if (order !== 0) return order;
+  }
+  return aSegments.length - bSegments.length;
+}
+
+// Directories of base and head up to depth levels, in tree order (every directory followed by
+// its subdirectories). Rates are null for directories without lines on a branch.
+function getCoverageRollup(baseModel, headModel, depth) {
+  const directories = new Map();
+
+  const addModel = (model, side) => model.files.forEach((file, filePath) => {
+    const { lines, covered } = getFileMetrics(file);
+    const segments = filePath.split('/').filter(Boolean).slice(0, -1);
+
+    for (let level = 1; level <= Math.min(depth, segments.length); level++) {
+      const directoryPath = segments.slice(0, level).join('/');
+      if (!directories.has(directoryPath)) {
+        directories.set(directoryPath, {
+          path: directoryPath,
+          name: segments[level - 1],
+          level,
+          base: { lines: 0, covered: 0 },
+          head: { lines: 0, covered: 0 }
+        });
+      }
+      const totals = directories.get(directoryPath)[side];
+      totals.lines += lines;
+      totals.covered += covered;
+    }
+  });
+  addModel(baseModel, 'base');
+  addModel(headModel, 'head');
+
+  return [...directories.values()]
+    .filter(({ base, head }) => base.lines + head.lines > 0)
+    .sort((a, b) => compareTreePaths(a.path, b.path))
+    .map(directory => {
+      const baseRate = directory.base.lines > 0 ? directory.base.covered / directory.base.lines : null;
+      const headRate = directory.head.lines > 0 ? directory.head.covered / directory.head.lines : null;
+      return {
+        ...directory,
+        baseRate,
+        headRate,
+        change: baseRate !== null && headRate !== null ? headRate - baseRate : null
+      };
+    });
+}
+
+// Keep at most limit directories of a rollup, in tree order. The directories whose coverage changed
+// the most are kept first, along with their parent directories; directories that only exist on
+// one branch count as the largest changes. Remaining slots go to the unchanged directories,
+// shallowest first, so a rollup without changes still lists the top-level directories.
+function limitRollup(directories, limit) {
+  if (directories.length <= limit) return directories;
+
+  const weight = ({ change }) => (change === null ? 2 : Math.abs(change));
+  const parentPath = (directoryPath) => directoryPath.substring(0, directoryPath.lastIndexOf('/'));
+  const selected = new Set();
+  const changed = directories.filter(directory => weight(directory) >= 0.0001);
+  [...changed]
+    .sort((a, b) => weight(b) - weight(a))
+    .forEach(directory => {
+      const segments = directory.path.split('/');
+      const missing = segments
+        .map((_, index) => segments.slice(0, index + 1).join('/'))
+        .filter(directoryPath => !selected.has(directoryPath));
+      if (selected.size + missing.length <= limit) {
+        missing.forEach(directoryPath => selected.add(directoryPath));
+      }
+    });
+  directories
+    .filter(directory => !selected.has(directory.path))
+    .sort((a, b) => a.level - b.level)
+    .forEach(directory => {
+      if (selected.size < limit && (directory.level === 1 || selected.has(parentPath(directory.path)))) {
+        selected.add(directory.path);
+      }
+    });
+  return directories.filter(directory => selected.has(directory.path));
+}
+
+module.exports = { getCoverageRollup, limitRollup };
@@ -0,0 +1,313 @@
+/**
+ * Coverage snapshot layout shared by the upload and compare modes
+ * Snapshot paths follow a template such as {repo}/{branch}/{timestamp}/{filename},
+ * with a metadata.json next to the report
+ */
+const minimatch = require('minimatch');
+const { compressReport } = require('./compression');
+
+const REPORT_FILENAME = 'coverage.xml';
+const METADATA_FILENAME = 'metadata.json';
+const DEFAULT_PATH_TEMPLATE = '{repo}/{branch}/{timestamp}/{filename}';
+const TIMESTAMP_PATTERN = /\d{8}_\d{6}/;
+const PLACEHOLDERS = ['owner', 'repo', 'branch', 'sha', 'timestamp', 'flag', 'filename'];
+// Snapshots uploaded along with the latest one (matrix jobs, re-runs) are looked for this far back
+const LATEST_SNAPSHOT_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+// Format a date as the UTC YYYYMMDD_HHMMSS folder name used for snapshots
+function formatTimestamp(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `_${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+}
+
+// Date of a YYYYMMDD_HHMMSS snapshot folder name
+function parseTimestamp(timestamp) {
+  const [, year, month, day, hours, minutes, seconds] = timestamp.match(/^(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})$/);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build the path layout for a template. owner, repo, flag and filename are fixed for the
+// whole run; branch, sha and timestamp vary per snapshot. Values that are not known when
+// discovering snapshots (sha, timestamp and an empty flag) are matched as single path segments,
+// while the branch is always matched literally so branch names containing "/" can't be
+// confused with the folders of another branch.
+function createSnapshotLayout(template = DEFAULT_PATH_TEMPLATE, { owner = '', repo = '', flag = '', filename = REPORT_FILENAME } = {}) {
+  const tokens = template.split(/(\{[a-z_]+\})/).filter(Boolean);
+
+  tokens.forEach(token => {
+    const match = token.match(/^\{([a-z_]+)\}$/);
+    if (match && !PLACEHOLDERS.includes(match[1])) {
+      throw new Error(`Unknown placeholder ${token} in path template. Supported placeholders: ${PLACEHOLDERS.map(name => `{${name}}`).join(', ')}`);
+    }
+  });
+  if (!template.includes('{timestamp}')) {
+    throw new Error('The path template must contain the {timestamp} placeholder');
+  }
+  if (!template.endsWith('/{filename}')) {
+    throw new Error('The path template must end with /{filename}');
+  }
+
+  const staticValues = {
+    owner: owner.toLowerCase(),
+    repo: repo.toLowerCase(),
+    flag
+  };
+
+  const render = (values) => tokens.map(token => {
+    const match = token.match(/^\{([a-z_]+)\}$/);
+    if (!match) return token;
+    const value = values[match[1]];
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`No value for placeholder {${match[1]}} in path template ${template}`);
+    }
+    return value;
+  }).join('');
+
+  // Matches full object paths of a branch, capturing the values that vary per snapshot
+  const buildPattern = (branch) => {
+    const names = [];
+    const source = tokens.map(token => {
+      const match = token.match(/^\{([a-z_]+)\}$/);
+      if (!match) return escapeRegExp(token);
+      const name = match[1];
+      if (name === 'branch') return escapeRegExp(branch);
+      if (staticValues[name]) return escapeRegExp(staticValues[name]);
+      names.push(name);
+      return name === 'timestamp' ? `(${TIMESTAMP_PATTERN.source})` : '([^/]+)';
+    }).join('');
+    return { regex: new RegExp(`^${source}$`), names };
+  };
+
+  return {
+    template,
+    filename,
+
+    buildPath({ branch, sha, timestamp, flag: snapshotFlag, filename: file = filename }) {
+      return render({ ...staticValues, flag: staticValues.flag || snapshotFlag, branch, sha, timestamp, filename: file });
+    },
+
+    // Longest literal path prefix shared by every snapshot of the branch, used for listing
+    getListPrefix(branch) {
+      let prefix = '';
+      for (const token of tokens) {
+        const match = token.match(/^\{([a-z_]+)\}$/);
+        if (!match) {
+          prefix += token;
+        } else if (match[1] === 'branch') {
+          prefix += branch;
+        } else if (staticValues[match[1]]) {
+          prefix += staticValues[match[1]];
+        } else {
+          break;
+        }
+      }
+      return prefix.substring(0, prefix.lastIndexOf('/') + 1);
+    },
+
+    // Returns the placeholder values of an object path, or null if it isn't part of a branch snapshot
+    parsePath(filePath, branch) {
+      const { regex, names } = buildPattern(branch);
+      const match = filePath.match(regex);
+      if (!match) return null;
+
+      // A placeholder used twice in the template must have the same value everywhere
+      const values = {};
+      const consistent = names.every((name, index) => {
+        const value = match[index + 1];
+        if (values[name] !== undefined && values[name] !== value) return false;
+        values[name] = value;
+        return true;
+      });
+      return consistent ? values : null;
+    }
+  };
+}
+
+// List the snapshots of a branch, newest first. Each snapshot groups the files of one folder.
+async function listSnapshots(storage, layout, branch) {
+  const prefix = layout.getListPrefix(branch);
+  try {
+    // List all files under the prefix
+    const files = await storage.listFiles(prefix);
+
+    // Group files by their snapshot folder
+    const snapshots = new Map();
+    files.forEach(file => {
+      const values = layout.parsePath(file, branch);
+      if (!values) return;
+
+      const folder = file.substring(0, file.lastIndexOf('/'));
+      if (!snapshots.has(folder)) {
+        snapshots.set(folder, {
+          folder,
+          branch,
+          timestamp: values.timestamp,
+          sha: values.sha,
+          flag: values.flag,
+          files: []
+        });
+      }
+      snapshots.get(folder).files.push(file);
+    });
+
+    // Sort timestamps in descending order (newest first)
+    return [...snapshots.values()].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  } catch (error) {
+    throw new Error(`Failed to list files in ${prefix}: ${error.message}`);
+  }
+}
+
+// Paths of the coverage reports of a snapshot. The report file name may be a glob
+// (e.g. coverage-*.xml) so matrix jobs can each upload their own report.
+function getReportPaths(layout, snapshot) {
+  const reports = snapshot.files.filter(file => {
+    const name = file.substring(file.lastIndexOf('/') + 1);
+    return name !== METADATA_FILENAME && minimatch.minimatch(name, layout.filename, { dot: true });
+  });
+  if (reports.length > 0) return reports.sort();
+
+  // Fall back to the configured file name when the listing didn't include it
+  return minimatch.escape(layout.filename) === layout.filename ? [layout.buildPath(snapshot)] : [];
+}
+
+// Read metadata.json of a snapshot, or null for snapshots uploaded without one
+async function readSnapshotMetadata(storage, snapshot) {
+  const metadataFile = snapshot.files.find(file => file.endsWith(`/${METADATA_FILENAME}`));
+  if (!metadataFile) return null;
+
+  try {
+    const content = await storage.readFile(metadataFile);
+    return JSON.parse(content.toString());
+  } catch (error) {
+    return null;
+  }
+}
+
+// Find the snapshot recorded for the earliest entry in commits (ordered from the
+// wanted commit to its older ancestors, each as { sha, date }). The result lists every
+// snapshot recorded for that commit in `snapshots`, e.g. one per matrix job.
+async function findSnapshotForCommits(storage, layout, branch, commits) {
+  if (!commits || commits.length === 0) return null;
+
+  const rank = new Map(commits.map(({ sha }, index) => [sha, index]));
+  // Snapshots are uploaded after their commit, so nothing older than the oldest commit can match
+  const oldestDate = commits[commits.length - 1].date;
+  const oldestTimestamp = oldestDate ? formatTimestamp(new Date(oldestDate)) : null;
+
+  let best = null;
+  let bestTimestamp = oldestTimestamp;
+  for (const snapshot of await listSnapshots(storage, layout, branch)) {
+    if (bestTimestamp && snapshot.timestamp < bestTimestamp) break;
+
+    // The commit is part of the path when the template has {sha}, otherwise it comes from the metadata
+    const metadata = snapshot.sha ? null : await readSnapshotMetadata(storage, snapshot);
+    const sha = snapshot.sha || metadata?.sha;
+    if (!sha || !rank.has(sha)) continue;
+
+    const index = rank.get(sha);
+    if (best && index === best.index) {
+      best.snapshots.push({ ...snapshot, sha, metadata });
+    } else if (!best || index < best.index) {
+      best = { ...snapshot, sha, metadata, index };
+      best.snapshots = [{ ...snapshot, sha, metadata }];
+      // Other snapshots of the same commit can't be older than the commit itself
+      const date = commits[index].date;
+      if (date) bestTimestamp = formatTimestamp(new Date(date));
+    }
+  }
+
+  return best;
+}
+
+// Find the newest snapshot of a branch. Like findSnapshotForCommits, the result lists in
+// `snapshots` the snapshots recorded for the same commit or, when no commit was recorded, by the
+// same workflow run, e.g. one per matrix job. Only snapshots uploaded up to
+// LATEST_SNAPSHOT_WINDOW_MS before the newest one are read, so long histories aren't scanned.
+async function findLatestSnapshot(storage, layout, branch) {
+  const snapshots = await listSnapshots(storage, layout, branch);
+  if (snapshots.length === 0) return null;
+
+  const withMetadata = async (snapshot) => {
+    const metadata = snapshot.sha ? null : await readSnapshotMetadata(storage, snapshot);
+    return { ...snapshot, sha: snapshot.sha || metadata?.sha || null, metadata };
+  };
+  const latest = await withMetadata(snapshots[0]);
+  const runId = latest.metadata?.run_id;
+  latest.snapshots = [{ ...latest }];
+  if (!latest.sha && !runId) return latest;
+
+  const oldestTimestamp = formatTimestamp(new Date(parseTimestamp(latest.timestamp).getTime() - LATEST_SNAPSHOT_WINDOW_MS));
+  const candidates = snapshots.slice(1).filter(snapshot => snapshot.timestamp >= oldestTimestamp);
+  for (const candidate of await Promise.all(candidates.map(withMetadata))) {
+    if (latest.sha ? candidate.sha === latest.sha : candidate.metadata?.run_id === runId) {
+      latest.snapshots.push(candidate);
+    }
+  }
+  return latest;
+}
+
+// Poll until a snapshot recorded for the given commit appears on the branch, or the timeout
+// (in seconds) runs out. Returns null when no matching snapshot showed up in time.
+async function waitForSnapshot(storage, layout, branch, sha, { timeout = 0, interval = 10, onRetry } = {}) {
+  const deadline = Date.now() + timeout * 1000;
+
+  for (let attempt = 1; ; attempt++) {
+    const snapshot = await findSnapshotForCommits(storage, layout, branch, [{ sha }]);
+    if (snapshot) return snapshot;
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return null;
+
+    if (onRetry) onRetry(attempt, Math.ceil(remaining / 1000));
+    await new Promise(resolve => setTimeout(resolve, Math.min(interval * 1000, remaining)));
+  }
+}
+
+// Write a coverage report and its metadata into a new timestamped snapshot folder. The report is
+// compressed when the snapshot file name ends with .gz or .zst.
+async function uploadSnapshot(storage, layout, { branch, sha, content, metadata = {}, date = new Date() }) {
+  if (!branch) {
+    throw new Error('A branch is required to upload a coverage snapshot');
+  }
+
+  // Fails without zstd support before any path is built or anything is written
+  const report = compressReport(content, layout.filename);
+
+  const timestamp = formatTimestamp(date);
+  const reportPath = layout.buildPath({ branch, sha, timestamp });
+  const metadataPath = layout.buildPath({ branch, sha, timestamp, filename: METADATA_FILENAME });
+  const snapshotMetadata = {
+    ...metadata,
+    sha,
+    branch,
+    timestamp,
+    report: layout.filename
+  };
+
+  try {
+    await storage.writeFile(reportPath, report);
+    await storage.writeFile(metadataPath, JSON.stringify(snapshotMetadata, null, 2));
+  } catch (error) {
+    throw new Error(`Failed to upload coverage snapshot to ${reportPath}: ${error.message}`);
+  }
+
+  return { timestamp, reportPath, metadataPath, metadata: snapshotMetadata };
+}
+
+module.exports = {
+  REPORT_FILENAME,
+  METADATA_FILENAME,
+  DEFAULT_PATH_TEMPLATE,
+  formatTimestamp,
+  createSnapshotLayout,
+  listSnapshots,
+  getReportPaths,
+  readSnapshotMetadata,
+  findSnapshotForCommits,
+  findLatestSnapshot,
+  waitForSnapshot,
+  uploadSnapshot
+};
@@ -0,0 +1,179 @@
+/**
+ * Storage backends for coverage snapshots
+ * Every backend exposes the same interface: listFiles(prefix), readFile(path) and writeFile(path, content).
+ * Backends that can stream objects also expose readStream(path), used to parse large reports.
+ */
+const { Storage } = require('@google-cloud/storage');
+const { S3Client, ListObjectsV2Command, GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+const path = require('path');
+const fs = require('fs');
+
+const STORAGE_BACKENDS = ['gcs', 's3', 'local'];
+
+function createStorage(backend, options = {}) {
+  switch (backend) {
+    case 'gcs':
+      return createGcsStorage(options);
+    case 's3':
+      return createS3Storage(options);
+    case 'local':
+      return createLocalStorage(options);
+    default:
+      throw new Error(`Unsupported storage backend "${backend}". Supported backends: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+}
+
+function createGcsStorage({ credentials, bucket: bucketName }) {
+  if (!bucketName) {
+    throw new Error('A bucket name is required for the gcs storage backend');
+  }
+
+  // Parse GCP credentials
+  let parsedCredentials;
+  try {
+    parsedCredentials = JSON.parse(credentials);
+  } catch (error) {
+    throw new Error(`Invalid GCP credentials JSON: ${error.message}`);
+  }
+
+  const storage = new Storage({ credentials: parsedCredentials });
+  const bucket = storage.bucket(bucketName);
+
+  return {
+    name: 'gcs',
+
+    async listFiles(prefix) {
+      const [files] = await bucket.getFiles({ prefix });
+      return files.map(file => file.name);
+    },
+
+    async readFile(filePath) {
+      const [content] = await bucket.file(filePath).download();
+      return content;
+    },
+
+    async readStream(filePath) {
+      return bucket.file(filePath).createReadStream();
+    },
+
+    async writeFile(filePath, content) {
+      await bucket.file(filePath).save(content);
+    }
+  };
+}
+
+function createS3Storage({ bucket, region, endpoint, forcePathStyle = false, accessKeyId, secretAccessKey, client }) {
+  if (!bucket) {
+    throw new Error('A bucket name is required for the s3 storage backend');
+  }
+
+  // Explicit keys take precedence, otherwise the SDK default credential chain is used
+  const credentials = accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined;
+  const s3 = client || new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials
+  });
+
+  return {
+    name: 's3',
+
+    async listFiles(prefix) {
+      const files = [];
+      let continuationToken;
+      do {
+        const response = await s3.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }));
+        (response.Contents || []).forEach(object => files.push(object.Key));
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return files;
+    },
+
+    async readFile(filePath) {
+      const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: filePath }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    async readStream(filePath) {
+      const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: filePath }));
+      return response.Body;
+    },
+
+    async writeFile(filePath, content) {
+      await s3.send(new PutObjectCommand({ Bucket: bucket, Key: filePath, Body: content }));
+    }
+  };
+}
+
+function createLocalStorage({ root }) {
+  if (!root) {
+    throw new Error('A root directory is required for the local storage backend');
+  }
+
+  const rootPath = path.resolve(root);
+
+  // Resolve an object path inside the root directory, refusing paths that escape it
+  const resolvePath = (filePath) => {
+    const resolved = path.resolve(rootPath, filePath);
+    if (resolved !== rootPath && !resolved.startsWith(rootPath + path.sep)) {
+      throw new Error(`Path ${filePath} is outside of the storage root ${rootPath}`);
+    }
+    return resolved;
+  };
+
+  // Recursively collect files below a directory as root-relative, slash-separated paths
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await walk(entryPath));
+      } else if (entry.isFile()) {
+        files.push(path.relative(rootPath, entryPath).split(path.sep).join('/'));
+      }
+    }
+    return files;
+  };
+
+  return {
+    name: 'local',
+
+    async listFiles(prefix = '') {
+      // Start walking from the deepest directory contained in the prefix
+      const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+      const files = await walk(resolvePath(prefixDir));
+      return files.filter(file => file.startsWith(prefix)).sort();
+    },
+
+    async readFile(filePath) {
+      return fs.promises.readFile(resolvePath(filePath));
+    },
+
+    async readStream(filePath) {
+      // Opening first makes missing files fail here rather than in the middle of parsing
+      const handle = await fs.promises.open(resolvePath(filePath), 'r');
+      return handle.createReadStream();
+    },
+
+    async writeFile(filePath, content) {
+      const target = resolvePath(filePath);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, content);
+    }
+  };
+}
+
+module.exports = { createStorage, createGcsStorage, createS3Storage, createLocalStorage, STORAGE_BACKENDS };